@@ -1,6 +1,7 @@
 const DatabaseService = require('./lib/common/DatabaseService')
 const SQLService = require('./lib/SQLService')
 const CQN2SQL = require('./lib/cqn2sql').classDefinition
+const ConstraintViolation = require('./lib/common/constraint-violation')
 
 /**
  * @template T
@@ -15,4 +16,5 @@ module.exports = {
   DatabaseService,
   SQLService,
   CQN2SQL,
+  ConstraintViolation,
 }
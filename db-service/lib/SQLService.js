@@ -3,13 +3,20 @@ const cds = require('@sap/cds'),
 const { Readable } = require('stream')
 const { resolveView, getDBTable, getTransition } = require('@sap/cds/libx/_runtime/common/utils/resolveView')
 const DatabaseService = require('./common/DatabaseService')
+const StatementCache = require('./common/statement-cache')
+const SlowQueryLog = require('./common/slow-query-log')
+const Tracing = require('./common/tracing')
+const ConstraintViolation = require('./common/constraint-violation')
 const cqn4sql = require('./cqn4sql')
+const { backlinkOf, encodeAfter } = require('./utils')
 
 const BINARY_TYPES = {
   'cds.Binary': 1,
   'cds.hana.BINARY': 1
 }
 
+const $statements = Symbol('dbc.statements')
+
 /** @typedef {import('@sap/cds/apis/services').Request} Request */
 
 /**
@@ -21,37 +28,22 @@ const BINARY_TYPES = {
 
 class SQLService extends DatabaseService {
   init() {
+    if (this.options.slowQueries) this._trackSlowQueries(new SlowQueryLog(this.options.slowQueries))
+    if (this.options.tracer) this.trace(this.options.tracer)
+    this.on(['INSERT', 'UPSERT', 'UPDATE', 'DELETE'], this.onCONSTRAINT)
     this.on(['INSERT', 'UPSERT', 'UPDATE'], require('./fill-in-keys')) // REVISIT should be replaced by correct input processing eventually
     this.on(['INSERT', 'UPSERT', 'UPDATE'], require('./deep-queries').onDeep)
-    if (cds.env.features.db_strict) {
-      this.before(['INSERT', 'UPSERT', 'UPDATE'], ({ query }) => {
-        const elements = query.target?.elements
-        if (!elements) return
-        const kind = query.kind || Object.keys(query)[0]
-        const operation = query[kind]
-        if (!operation.columns && !operation.entries && !operation.data) return
-        const columns =
-          operation.columns ||
-          Object.keys(
-            operation.data ||
-            operation.entries?.reduce((acc, obj) => {
-              return Object.assign(acc, obj)
-            }, {}),
-          )
-        const invalidColumns = columns.filter(c => !(c in elements))
-
-        if (invalidColumns.length > 0) {
-          cds.error(`STRICT MODE: Trying to ${kind} non existent columns (${invalidColumns})`)
-        }
-      })
-    }
+    if (cds.env.features.db_strict) this.before(['INSERT', 'UPSERT', 'UPDATE'], require('./strict-mode'))
     this.on(['SELECT'], this.onSELECT)
     this.on(['INSERT'], this.onINSERT)
     this.on(['UPSERT'], this.onUPSERT)
     this.on(['UPDATE'], this.onUPDATE)
     this.on(['DELETE'], this.onDELETE)
     this.on(['CREATE ENTITY', 'DROP ENTITY'], this.onSIMPLE)
-    this.on(['BEGIN', 'COMMIT', 'ROLLBACK'], this.onEVENT)
+    this.on(['BEGIN'], this.onBEGIN)
+    this.on(['COMMIT', 'ROLLBACK'], this.onEVENT)
+    this.on(['SAVEPOINT', 'ROLLBACK TO SAVEPOINT', 'RELEASE SAVEPOINT'], this.onSAVEPOINT)
+    this.on(['EXPLAIN'], this.onEXPLAIN)
     this.on(['*'], this.onPlainSQL)
     return super.init()
   }
@@ -128,14 +120,22 @@ class SQLService extends DatabaseService {
       query.SELECT.expand = 'root'
     }
 
-    const { sql, values, cqn } = this.cqn2sql(query, data)
+    const { sql, values, cqn, after } = this.cqn2sql(query, data)
     const expand = query.SELECT.expand
     delete query.SELECT.expand
 
     let ps = await this.prepare(sql)
+    if (query._iterate) return this._iterate(ps.iterate ? ps.iterate(values) : await ps.all(values), expand, cqn.SELECT.columns, after)
     let rows = await ps.all(values)
+    // The total count is selected along with the rows if possible, see CQN2SQL.SELECT_count
+    let count
+    if (rows.length && '_count_' in rows[0]) {
+      count = Number(rows[0]._count_)
+      for (const row of rows) delete row._count_
+    }
     if (rows.length)
       if (expand) rows = rows.map(r => (typeof r._json_ === 'string' ? JSON.parse(r._json_) : r._json_ || r))
+    if (after) this._after(rows, after, cqn.SELECT.limit)
 
     if (cds.env.features.stream_compat) {
       if (query._streaming) {
@@ -156,12 +156,79 @@ class SQLService extends DatabaseService {
 
     if (cqn.SELECT.count) {
       // REVISIT: the runtime always expects that the count is preserved with .map, required for renaming in mocks
-      return SQLService._arrayWithCount(rows, await this.count(query, rows))
+      return SQLService._arrayWithCount(rows, count ?? (await this.count(query, rows)))
     }
 
     return cqn.SELECT.one || query.SELECT.from?.ref?.[0].cardinality?.max === 1 ? rows[0] : rows
   }
 
+  async *_iterate(rows, expand, columns, after) {
+    for await (let row of rows) {
+      if (expand) row = typeof row._json_ === 'string' ? JSON.parse(row._json_) : row._json_ || row
+      row = this._stripped(row, after)
+      this._changeToStreams(columns, [row], false, false)
+      yield row
+    }
+  }
+
+  // Removes the columns only selected for the total count and the $after token of all rows, see onSELECT
+  _stripped(row, after = 0) {
+    delete row._count_
+    for (let i = 0; i < after; i++) delete row[`$$after${i}$$`]
+    return row
+  }
+
+  /**
+   * Runs a SELECT query and returns an async iterator of its rows, which
+   * are fetched from the database incrementally instead of all at once:
+   *
+   *     for await (const row of db.foreach(SELECT.from(Books))) ...
+   *     await db.foreach(SELECT.from(Books), row => ...)
+   *
+   * The connection is held until all rows are read, or the loop is exited.
+   * If called outside of a transaction, the one of the current context is
+   * joined, like `srv.run()` does, or a new one is started for that.
+   * With a callback, the returned promise resolves with all rows, as for
+   * other services.
+   * @param {CQN} query
+   * @param {unknown} [data]
+   * @param {(row: object, index: number) => unknown} [callback]
+   */
+  foreach(query, data, callback) {
+    if (typeof data === 'function') [data, callback] = [undefined, data]
+    const rows = this._foreach(query, data)
+    if (!callback) return rows
+    return (async () => {
+      const all = []
+      for await (const row of rows) await callback(row, all.push(row) - 1)
+      return all
+    })()
+  }
+
+  async *_foreach(query, data) {
+    if (!this.context) {
+      const ctx = cds.context, outer = ctx?.tx
+      if (outer && outer._done !== 'committed') return yield* this.tx(ctx)._foreach(query, data)
+      const tx = this.tx()
+      let failed = true
+      try {
+        yield* tx._foreach(query, data)
+        failed = false
+      } finally {
+        await (failed ? tx.rollback() : tx.commit())
+      }
+      return
+    }
+    if (!query?.SELECT) cds.error`Only SELECT queries can be iterated, but got: ${query}`
+    query = cds.ql.clone(query)
+    Object.defineProperty(query, '_iterate', { value: true })
+    const rows = await this.run(query, data)
+    // SELECT.one and custom handlers may return plain results
+    if (rows?.[Symbol.asyncIterator]) yield* rows
+    else if (Array.isArray(rows)) yield* rows
+    else if (rows) yield rows
+  }
+
   /**
    * Handler for INSERT
    * @type {Handler}
@@ -170,6 +237,7 @@ class SQLService extends DatabaseService {
     const { sql, entries, cqn } = this.cqn2sql(query, data)
     if (!sql) return // Do nothing when there is nothing to be done // REVISIT: fix within mtxs
     const ps = await this.prepare(sql)
+    if (cqn.INSERT.returning) return this._returned(ps, entries)
     const results = entries ? await Promise.all(entries.map(e => ps.run(e))) : await ps.run()
     return new this.class.InsertResults(cqn, results)
   }
@@ -179,9 +247,10 @@ class SQLService extends DatabaseService {
    * @type {Handler}
    */
   async onUPSERT({ query, data }) {
-    const { sql, entries } = this.cqn2sql(query, data)
+    const { sql, entries, cqn } = this.cqn2sql(query, data)
     if (!sql) return // Do nothing when there is nothing to be done // REVISIT: When does this happen?
     const ps = await this.prepare(sql)
+    if (cqn.UPSERT.returning) return this._returned(ps, entries)
     const results = entries ? await Promise.all(entries.map(e => ps.run(e))) : await ps.run()
     // REVISIT: results isn't an array, when no entries -> how could that work? when do we have no entries?
     return results.reduce((total, affectedRows) => (total += affectedRows.changes), 0)
@@ -207,14 +276,186 @@ class SQLService extends DatabaseService {
    * @type {Handler}
    */
   async onSIMPLE({ query, data }) {
-    const { sql, values } = this.cqn2sql(query, data)
+    const { sql, values, cqn } = this.cqn2sql(query, data)
     let ps = await this.prepare(sql)
+    if (cqn.UPDATE?.returning || cqn.DELETE?.returning) return this._returned(ps, undefined, values)
     return (await ps.run(values)).changes
   }
 
+  /**
+   * Handler for INSERT, UPSERT, UPDATE and DELETE, which turns constraint violations
+   * classified by {@link SQLService#constraint4} into {@link ConstraintViolation}s
+   * @type {Handler}
+   */
+  async onCONSTRAINT(req, next) {
+    try {
+      return await next()
+    } catch (err) {
+      const violation = !(err instanceof ConstraintViolation) && this.constraint4(err)
+      if (!violation) throw err
+      const { kind, table, columns = [], constraint } = violation
+      const entity = _entity4(this.model, req.target, table)
+      const elements = columns.map(c => _element4(entity, c))
+      // Unique violations on INSERT are most likely due to existing keys
+      const code = kind === 'unique' && req.query.INSERT ? 'ENTITY_ALREADY_EXISTS' : undefined
+      throw new ConstraintViolation(kind, {
+        cause: err,
+        code,
+        entity: entity?.name ?? table,
+        elements,
+        keys: entity && entity === req.target ? _offending_keys4(req.query, entity) : undefined,
+        constraint,
+      })
+    }
+  }
+
+  /**
+   * Classifies the given database error as constraint violation, if it is one.
+   * Subclasses override this to map the errors of their driver.
+   * @param {Error} err
+   * @returns {{ kind: 'unique'|'not_null'|'foreign_key'|'check', table?: string, columns?: string[], constraint?: string }|undefined}
+   */
+  // eslint-disable-next-line no-unused-vars
+  constraint4(err) {
+    return undefined
+  }
+
+  /**
+   * Emulates RETURNING clauses with SELECTs, for databases which do not support them.
+   * Rows to be deleted are read before, inserted and updated rows after the write.
+   * @type {Handler}
+   */
+  async onRETURNING(req, next) {
+    const { query } = req
+    const kind = query.kind || Object.keys(query)[0]
+    const returning = query[kind]?.returning
+    const target = query.target || req.target
+    if (!returning || !target?.keys) return next()
+    req.query = cds.ql.clone(query, { returning: undefined }) // the write itself returns nothing
+
+    if (query.DELETE) {
+      const rows = await this.run(SELECT.from(query.DELETE.from).columns(returning).where(query.DELETE.where))
+      await next()
+      return rows
+    }
+    if (query.UPDATE) {
+      const keys = await this.run(SELECT.from(query.UPDATE.entity).columns(_keys4(target)).where(query.UPDATE.where))
+      await next()
+      return this._rows4(target, keys, returning)
+    }
+    const result = await next()
+    if (query.INSERT) return this._rows4(target, [...result], returning)
+    const { entries, columns, rows = query.UPSERT.values && [query.UPSERT.values] } = query.UPSERT
+    const data = entries || rows.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i]])))
+    return this._rows4(target, data, returning)
+  }
+
+  /**
+   * Collects the keys of all rows of the entities in a composition cycle, which are
+   * reachable from the rows matched by the given path, at any depth, except for the
+   * matched rows themselves, unless they are reachable from other matched rows
+   * @param {import('./infer/cqn').Query['target'][]} cycle - the entities, starting with the one of the path
+   * @param {import('@sap/cds/apis/cqn').ref} from - the path to the matched rows
+   * @returns {Promise<Map<import('./infer/cqn').Query['target'], object[]>>} the keys of the rows per entity
+   */
+  async _descendants(cycle, from) {
+    const arity = Math.max(...cycle.map(e => _keys4(e).length))
+    const string = { type: 'cds.String' }
+    // Keys are only compared as strings, if they differ in type or number between the entities
+    const casts = Array.from({ length: arity }, (_, i) => {
+      const types = cycle.map(e => e.elements[_keys4(e)[i]]?._type)
+      return types.some(t => !t || t !== types[0])
+    })
+    const columns = (refs, prefix) =>
+      Array.from({ length: arity }, (_, i) => ({
+        ...(i < refs.length ? { ref: refs[i] } : { val: '', param: false }),
+        ...(casts[i] && { cast: string }),
+        as: prefix + i,
+      }))
+    const roots = SELECT.from(from).columns(
+      { val: 0, param: false, as: 't' },
+      ...columns(_keys4(cycle[0]).map(k => [k]), 'k'),
+    )
+    // The edges are read from the foreign keys in the table of either the child or the parent,
+    // and only need a join of both, if neither has all keys of the other one
+    const edges = cycle.flatMap((parent, pt) =>
+      _compositions4(parent)
+        .filter(c => cycle.includes(c._target))
+        .map(c => {
+          const child = c._target
+          const pairs = _pairs4(c)
+          const paired = (keys, side) => keys.map(k => pairs.find(pair => pair[side] === k)?.[1 - side])
+          const [fks4parent, fks4child] = [paired(_keys4(parent), 1), paired(_keys4(child), 0)]
+          let from
+          let p = _keys4(parent).map(k => ['p', k])
+          let ch = _keys4(child).map(k => ['c', k])
+          if (fks4parent.every(Boolean)) {
+            from = { ref: [child.name], as: 'c' }
+            p = fks4parent.map(k => ['c', k])
+          } else if (fks4child.every(Boolean)) {
+            from = { ref: [parent.name], as: 'p' }
+            ch = fks4child.map(k => ['p', k])
+          } else
+            from = {
+              join: 'inner',
+              args: [{ ref: [parent.name], as: 'p' }, { ref: [child.name], as: 'c' }],
+              on: pairs.flatMap(([c, p], i) => [...(i ? ['and'] : []), { ref: ['c', c] }, '=', { ref: ['p', p] }]),
+            }
+          return {
+            SELECT: {
+              from,
+              columns: [
+                { val: pt, param: false, as: 'pt' },
+                ...columns(p, 'p'),
+                { val: cycle.indexOf(child), param: false, as: 'ct' },
+                ...columns(ch, 'c'),
+              ],
+            },
+          }
+        }),
+    )
+    const rows = new Map(cycle.map(e => [e, []]))
+    for (const [t, ...values] of await this.descendants4(arity, roots, edges)) {
+      const entity = cycle[t]
+      const keys = _keys4(entity)
+      rows.get(entity).push(Object.fromEntries(keys.map((k, i) => [k, _val4(entity.elements[k], values[i])])))
+    }
+    return rows
+  }
+
+  /**
+   * Reads the given columns of the rows identified by the keys in data
+   * @param {import('./infer/cqn').Query['target']} target
+   * @param {object[]} data
+   * @param {import('@sap/cds/apis/cqn').column_expr[]} columns
+   * @returns {Promise<object[]>}
+   */
+  async _rows4(target, data, columns) {
+    const keys = _keys4(target)
+    data = data.filter(row => keys.every(k => row[k] !== undefined))
+    if (!data.length) return []
+    const where = [
+      { list: keys.map(k => ({ ref: [k] })) },
+      'in',
+      { list: data.map(row => ({ list: keys.map(k => ({ val: row[k] })) })) },
+    ]
+    return this.run(SELECT.from(target).columns(columns).where(where))
+  }
+
+  /**
+   * Runs a write statement with a RETURNING clause and returns the affected rows
+   * @param {PreparedStatement} ps
+   * @param {unknown[][]} [entries] - the binding parameters per batch, as for INSERT and UPSERT
+   * @param {unknown[]} [values] - the binding parameters otherwise
+   * @returns {Promise<object[]>}
+   */
+  async _returned(ps, entries, values) {
+    const rows = entries ? (await Promise.all(entries.map(e => ps.all(e)))).flat() : await ps.all(values)
+    return rows.map(r => (typeof r._json_ === 'string' ? JSON.parse(r._json_) : r._json_ || r))
+  }
+
   get onDELETE() {
-    // REVISIT: It's not yet 100 % clear under which circumstances we can rely on db constraints
-    return (super.onDELETE = /* cds.env.features.assert_integrity === 'db' ? this.onSIMPLE : */ deep_delete)
+    return (super.onDELETE = deep_delete)
     async function deep_delete(/** @type {Request} */ req) {
       const transitions = getTransition(req.target, this, false, req.query.cmd || 'DELETE')
       if (transitions.target !== transitions.queryTarget) {
@@ -250,12 +491,43 @@ class SQLService extends DatabaseService {
           if (last.where) [last, where] = [last.id, [{ xpr: last.where }, 'and', { xpr: where }]]
           from = { ref: [...from.ref.slice(0, -1), { id: last, where }] }
         }
+        // Recursive and circular compositions are followed to any depth, by deleting all
+        // descendants in the cycle before the matched rows
+        const cycle = _cycle4(table)
+        const deletes = [{ entity: table, from }]
+        const hierarchy = cycle && _hierarchy4(cycle)
+        if (hierarchy) {
+          // Hierarchies are deleted with a recursive sub select, starting with the children
+          const keys = _keys4(table).map(k => ({ ref: [k] }))
+          const descendants = SELECT.from(table).columns(keys)
+          descendants.SELECT.recurse = {
+            ref: [backlinkOf(hierarchy).name],
+            where: [{ list: keys }, 'in', SELECT.from({ ref: [...from.ref, hierarchy.name] }).columns(keys)],
+          }
+          deletes.push({ entity: table, from: { ref: [{ id: table.name, where: [{ list: keys }, 'in', descendants] }] } })
+        } else if (cycle) {
+          // Several tables can't be deleted from with one statement, and deleting from one of them would
+          // cut the paths to the descendants in the others, so the keys of all descendants are read first
+          for (const [entity, rows] of await this._descendants(cycle, from)) {
+            if (!rows.length) continue
+            const keys = _keys4(entity)
+            const where = [
+              { list: keys.map(k => ({ ref: [k] })) },
+              'in',
+              { list: rows.map(row => ({ list: keys.map(k => ({ val: row[k] })) })) },
+            ]
+            deletes.push({ entity, from: { ref: [{ id: entity.name, where }] } })
+          }
+        }
         // Process child compositions depth-first
         let { depth = 0, visited = [] } = req
         visited.push(req.target.name)
         await Promise.all(
-          Object.values(compositions).map(c => {
+          deletes.flatMap(({ entity, from }) => Object.values(entity.compositions || {}).map(c => {
             if (c._target['@cds.persistence.skip'] === true) return
+            // With assert_integrity: 'db' the database cascades deletes along foreign key constraints, see _cascades
+            if (cds.env.features.assert_integrity === 'db' && _cascades(c)) return
+            if (cycle?.includes(c._target) && _compositions4(entity).includes(c)) return // collected above
             if (c._target === req.target) {
               // the Genre.children case
               if (++depth > (c['@depth'] || 3)) return
@@ -269,13 +541,47 @@ class SQLService extends DatabaseService {
             const query = DELETE.from({ ref: [...from.ref, c.name] })
             query.target = c._target
             return this.onDELETE({ query, depth, visited: [...visited], target: c._target })
-          }),
+          })),
         )
+        for (const { from } of deletes.slice(1)) await this.onSIMPLE({ query: DELETE.from(from) })
       }
       return this.onSIMPLE(req)
     }
   }
 
+  /**
+   * Handler for BEGIN, which also applies the isolation level and access
+   * mode passed in by {@link DatabaseService#begin}, if any
+   * @type {Handler}
+   */
+  async onBEGIN({ data }) {
+    await this.onEVENT({ event: this.begin4(data) })
+    for (const sql of this.setTransaction4(data)) await this.onEVENT({ event: sql })
+  }
+
+  /**
+   * Returns the statement to start a transaction with
+   * @param {{ isolation?: string, readOnly?: boolean }} [options]
+   * @returns {string}
+   */
+  // eslint-disable-next-line no-unused-vars
+  begin4(options) {
+    return 'BEGIN'
+  }
+
+  /**
+   * Returns the statements to set the isolation level and access mode
+   * of a just started transaction
+   * @param {{ isolation?: string, readOnly?: boolean }} [options]
+   * @returns {string[]}
+   */
+  setTransaction4({ isolation, readOnly } = {}) {
+    const sql = []
+    if (isolation) sql.push(`SET TRANSACTION ISOLATION LEVEL ${isolation.toUpperCase()}`)
+    if (readOnly) sql.push('SET TRANSACTION READ ONLY')
+    return sql
+  }
+
   /**
    * Handler for BEGIN, COMMIT, ROLLBACK, which don't have any CQN
    * @type {Handler}
@@ -285,6 +591,81 @@ class SQLService extends DatabaseService {
     return await this.exec(event)
   }
 
+  /**
+   * Handler for SAVEPOINT, ROLLBACK TO SAVEPOINT, RELEASE SAVEPOINT
+   * @type {Handler}
+   */
+  async onSAVEPOINT({ event, data }) {
+    const name = data?.name
+    // Only plain identifiers are allowed, which don't require quoting in any dialect
+    if (!/^[A-Za-z_][A-Za-z_0-9]*$/.test(name)) cds.error`Invalid savepoint name: ${name}`
+    return this.onEVENT({ event: `${event} ${name}` })
+  }
+
+  /**
+   * Handler for EXPLAIN, which renders the given query like the respective
+   * handler would, and returns its execution plan as of {@link SQLService#explain4}
+   * @type {Handler}
+   */
+  async onEXPLAIN({ data: { query, data } }) {
+    if (typeof query === 'string') return { sql: query, steps: await this.explain4(query, data) }
+    // Explain the SQL actually run for SELECTs, which is the one with expands
+    if (query.SELECT) {
+      if (!query.target) {
+        try { this.infer(query) } catch { /**/ }
+      }
+      if (query.target && !query.target._unresolved) query.SELECT.expand = 'root'
+    }
+    try {
+      const { sql, values, entries } = this.cqn2sql(query, data)
+      return { sql, steps: await this.explain4(sql, entries?.[0] ?? values) }
+    } finally {
+      if (query.SELECT) delete query.SELECT.expand
+    }
+  }
+
+  /**
+   * Runs a recursive query for the descendants of the given roots along the given edges
+   * between them. The roots select an entity index `t` and keys `k0` to `k<arity-1>`,
+   * the edges select the same for the parent as `pt` and `p0`... and for the child as `ct`
+   * and `c0`... Returns the rows of all descendants, as arrays of values, which only include
+   * roots that are descendants of other roots.
+   * @param {number} arity - the number of key columns
+   * @param {import('@sap/cds/apis/cqn').SELECT} roots
+   * @param {import('@sap/cds/apis/cqn').SELECT[]} edges
+   * @returns {Promise<unknown[][]>}
+   */
+  async descendants4(arity, roots, edges) {
+    const root = this.cqn2sql(roots)
+    const edge = edges.map(e => this.cqn2sql(e))
+    const keys = Array.from({ length: arity }, (_, i) => i)
+    const children = (parents, alias) =>
+      `SELECT edges.ct,${keys.map(i => `edges.c${i}`)} FROM edges JOIN ${parents} ON edges.pt = ${alias}.t${keys
+        .map(i => ` AND edges.p${i} = ${alias}.k${i}`)
+        .join('')}`
+    const sql = `WITH RECURSIVE edges(pt,${keys.map(i => `p${i}`)},ct,${keys.map(i => `c${i}`)}) AS (${edge
+      .map(e => e.sql)
+      .join(' UNION ALL ')}), closure(t,${keys.map(i => `k${i}`)}) AS (${children(`(${root.sql}) AS roots`, 'roots')} UNION ${children(
+      'closure',
+      'closure',
+    )}) SELECT * FROM closure`
+    const ps = await this.prepare(sql)
+    const rows = await ps.all([...edge.flatMap(e => e.values), ...root.values])
+    return rows.map(row => Object.values(row))
+  }
+
+  /**
+   * Returns the execution plan of the given SQL statement in the shape of
+   * {@link DatabaseService#explain}. Override in subclasses to support EXPLAIN.
+   * @param {string} sql
+   * @param {unknown[]} [values]
+   * @returns {Promise<import('./common/DatabaseService').PlanStep[]>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async explain4(sql, values) {
+    cds.error`EXPLAIN is not supported by ${this.constructor.name}`
+  }
+
   /**
    * Handler for SQL statements which don't have any CQN
    * @type {Handler}
@@ -314,7 +695,8 @@ class SQLService extends DatabaseService {
    * @returns {Promise<number>}
    */
   async count(query, ret) {
-    if (ret) {
+    // Pages of keyset pagination don't tell about the rows before them
+    if (ret && query.SELECT.limit?.after === undefined) {
       const { one, limit: _ } = query.SELECT,
         n = ret.length
       const [max, offset = 0] = one ? [1] : _ ? [_.rows?.val, _.offset?.val] : []
@@ -352,6 +734,21 @@ class SQLService extends DatabaseService {
   static CQN2SQL = require('./cqn2sql').class
 
   // REVISIT: There must be a better way!
+  /**
+   * Removes the sort values selected for keyset pagination from the rows, and
+   * adds the continuation token for the next page as `$after`, if the page is full
+   * @param {unknown[]} rows - Rows of a query with `SELECT.limit({ rows, after })`
+   * @param {number} after - The number of sort values
+   * @param {import('@sap/cds/apis/cqn').SELECT['SELECT']['limit']} limit
+   */
+  _after(rows, after, limit) {
+    const sorts = Array.from({ length: after }, (_, i) => `$$after${i}$$`)
+    const last = rows.at(-1)
+    const token = rows.length >= limit.rows.val ? encodeAfter(sorts.map(s => last[s])) : undefined
+    for (const row of rows) for (const s of sorts) delete row[s]
+    return Object.defineProperty(rows, '$after', { value: token, enumerable: false, configurable: true, writable: true })
+  }
+
   // preserves $count for .map calls on array
   static _arrayWithCount = function (a, count) {
     const _map = a.map
@@ -414,6 +811,65 @@ class SQLService extends DatabaseService {
     throw '2b overridden by subclass'
   }
 
+  /**
+   * Returns the cache of prepared statements of the given connection, which
+   * subclasses use in {@link SQLService#prepare} to reuse statements across
+   * transactions. Its size is limited per connection by option
+   * `statementCacheSize`, which defaults to 100, with 0 disabling the cache.
+   * @param {object} dbc - the database connection
+   * @param {(stmt: unknown) => void} [evict] - called with evicted statements, e.g. to drop them
+   * @returns {StatementCache|null} the cache, or null if disabled
+   */
+  statements4(dbc, evict) {
+    if (dbc[$statements] !== undefined) return dbc[$statements]
+    const { statementCacheSize: max = 100 } = this.options
+    return (dbc[$statements] = max > 0 ? new StatementCache(max, evict, this.pool?.stats.statements) : null)
+  }
+
+  /**
+   * Times all statements prepared through {@link SQLService#prepare} and
+   * reports them to the given log, along with the request they originate from.
+   * @param {SlowQueryLog} log
+   */
+  _trackSlowQueries(log) {
+    this.on('*', (req, next) => log.requests.run(req, next))
+    const prepare = this.prepare
+    this.prepare = function (sql, ...more) {
+      const start = performance.now()
+      const ps = prepare.call(this, sql, ...more)
+      // Some subclasses prepare synchronously, which has to be preserved
+      if (typeof ps?.then !== 'function') return log.track(ps, sql, this, performance.now() - start)
+      return ps.then(ps => log.track(ps, sql, this, performance.now() - start))
+    }
+  }
+
+  /**
+   * Traces all statements of this service with the given tracer, which can
+   * be an OpenTelemetry tracer, or any other implementing its `startSpan`.
+   * Tracers can also be configured through option `tracer`. Subsequent calls
+   * replace the tracer, with `null` turning tracing off.
+   * @param {import('./common/tracing').Tracer|null} tracer
+   */
+  trace(tracer) {
+    if (this._tracing) return void (this._tracing.tracer = tracer)
+    const tracing = (this._tracing = new Tracing(tracer, this.dbSystem))
+    const { prepare, exec } = this
+    this.prepare = function (sql, ...more) {
+      return tracing.prepare(sql, () => prepare.call(this, sql, ...more))
+    }
+    this.exec = function (sql) {
+      return tracing.exec(sql, () => exec.call(this, sql))
+    }
+  }
+
+  /**
+   * The database system as of OpenTelemetry's `db.system`, used for tracing.
+   * Subclasses override this.
+   */
+  get dbSystem() {
+    return 'other_sql'
+  }
+
   /**
    * Used to execute simple SQL statement like BEGIN, COMMIT, ROLLBACK
    * @param {string} sql
@@ -469,10 +925,144 @@ class PreparedStatement {
   async stream(binding_params) {
     binding_params
   }
+  /**
+   * Executes a prepared SELECT query and returns an async iterator of the
+   * rows, fetched from the database incrementally. Optional: Services fall
+   * back to {@link PreparedStatement#all} if not implemented, which is why
+   * there is no default implementation here.
+   * @function
+   * @name PreparedStatement#iterate
+   * @param {unknown|unknown[]} binding_params
+   * @returns {AsyncIterable<unknown>|Iterable<unknown>}
+   */
 }
 SQLService.prototype.PreparedStatement = PreparedStatement
 
+const _keys4 = target =>
+  Object.keys(target.keys).filter(k => !target.keys[k].virtual && !target.keys[k].isAssociation)
+
+/**
+ * Returns the pairs of columns of the target and the parent, which the on-condition of a
+ * composition compares, for backlinks like `children.parent = $self`, as well as for
+ * comparisons of elements like `toB.ID = $self.B`, or undefined for all others.
+ */
+const _pairs4 = composition => {
+  const backlink = backlinkOf(composition)
+  if (backlink) return backlink.keys.map(k => [k.$generatedFieldName || `${backlink.name}_${k.ref.join('_')}`, k.ref.join('_')])
+  const column = x => {
+    if (!x?.ref) return
+    if (x.ref[0] === composition.name) {
+      const name = x.ref.slice(1).join('_')
+      if (name in composition._target.elements) return { child: name }
+    } else {
+      const name = (x.ref[0] === '$self' ? x.ref.slice(1) : x.ref).join('_')
+      if (name in composition.parent.elements) return { parent: name }
+    }
+  }
+  const { on = [] } = composition
+  const pairs = []
+  for (let i = 0; i < on.length; i += 4) {
+    if (on[i + 1] !== '=' || (i + 3 < on.length && on[i + 3] !== 'and')) return
+    const [lhs, rhs] = [column(on[i]), column(on[i + 2])]
+    const child = lhs?.child ?? rhs?.child
+    const parent = lhs?.parent ?? rhs?.parent
+    if (!child || !parent) return
+    pairs.push([child, parent])
+  }
+  return pairs.length ? pairs : undefined
+}
+
+// The compositions of an entity, which can be followed with joins to collect descendants
+const _compositions4 = entity =>
+  Object.values(entity.compositions || {}).filter(
+    c => c._target['@cds.persistence.skip'] !== true && getDBTable(c._target) === c._target && _pairs4(c),
+  )
+
+const _cycles = new WeakMap()
+
+/**
+ * Returns the entities which are mutually reachable with the given one via compositions,
+ * starting with the given one, if there is any such cycle of compositions
+ */
+const _cycle4 = entity => {
+  if (_cycles.has(entity)) return _cycles.get(entity)
+  const reachable = (from, seen = new Set()) => {
+    for (const { _target } of _compositions4(from))
+      if (!seen.has(_target)) reachable(_target, seen.add(_target))
+    return seen
+  }
+  const targets = reachable(entity)
+  const cycle = targets.has(entity)
+    ? [entity, ...[...targets].filter(e => e !== entity && reachable(e).has(entity))]
+    : undefined
+  _cycles.set(entity, cycle)
+  return cycle
+}
+
+/**
+ * Returns the composition of a cycle, if it's the only one of a single entity with itself,
+ * along a backlink with a single key, which can be followed as a hierarchy with `SELECT.recurse`
+ */
+const _hierarchy4 = cycle => {
+  if (cycle.length > 1) return
+  const [composition, ...others] = _compositions4(cycle[0]).filter(c => c._target === cycle[0])
+  const backlink = composition && backlinkOf(composition)
+  if (!others.length && backlink?.keys.length === 1 && !backlink.is2many) return composition
+}
+
+const INTEGERS = { 'cds.UInt8': 1, 'cds.Int16': 1, 'cds.Int32': 1, 'cds.Integer': 1 }
+
+// Keys collected as strings are converted back to integers
+const _val4 = (element, value) => (element?._type in INTEGERS && value !== null ? Number(value) : value)
+
+/**
+ * Whether deletes cascade along the given composition on the database, which is the case if it
+ * has a backlink with a foreign key constraint, as has each composition of its target in turn.
+ * The constraints are not created at runtime, but generated by the compiler when deploying with
+ * `cds.env.features.assert_integrity = 'db'`, with `ON DELETE CASCADE` for exactly these backlinks.
+ * Hence the database has to be deployed with the same setting as used at runtime, as otherwise
+ * the children of deleted rows would be left behind.
+ */
+const _cascades = (composition, visited = new Set()) => {
+  if (!backlinkOf(composition)) return false
+  const target = composition._target
+  if (visited.has(target)) return true
+  visited.add(target)
+  return Object.values(target.compositions || {}).every(
+    c => c._target['@cds.persistence.skip'] === true || _cascades(c, visited),
+  )
+}
+
+// Database names are compared case insensitively, as some databases change the case
+const _same = (a, b) => a.toUpperCase() === b.toUpperCase()
+
+// The entity stored in the given table, preferring the query's target, which might be a projection
+const _entity4 = (model, target, table) => {
+  if (!table || !model) return target
+  const name = entity => entity.name.replace(/\./g, '_')
+  if (target && _same(name(getDBTable(target)), table)) return target
+  for (const each of model.each('entity')) if (!each.query && _same(name(each), table)) return each
+  return target
+}
+
+const _element4 = (entity, column) => {
+  if (!entity?.elements) return column
+  for (const name in entity.elements) if (_same(name, column)) return name
+  return column
+}
+
+// Keys of the one entry written, as the databases don't tell which one failed
+const _offending_keys4 = (query, entity) => {
+  const { entries, data } = query?.INSERT || query?.UPSERT || query?.UPDATE || {}
+  const entry = entries?.length === 1 ? entries[0] : data
+  if (!entry || !entity.keys) return
+  const keys = {}
+  for (const k of _keys4(entity)) if (k in entry) keys[k] = entry[k]
+  return Object.keys(keys).length ? keys : undefined
+}
+
 const _target_name4 = q => {
+  if (q.SET) return _target_name4(q.SET.args[0])
   const target =
     q._target_ref ||
     q.from_into_ntt ||
@@ -483,7 +1073,7 @@ const _target_name4 = q => {
     q.DELETE?.from ||
     q.CREATE?.entity ||
     q.DROP?.entity
-  if (target?.SET?.op === 'union') throw new cds.error('UNION-based queries are not supported')
+  if (target?.SET) return _target_name4(target.SET.args[0])
   if (!target?.ref) return target
   const [first] = target.ref
   return first.id || first
@@ -512,6 +1102,21 @@ cds.extend(cds.ql.Query).with(
     toSql() {
       return this.toSQL().sql
     }
+    returning(...columns) {
+      if (!(this.cmd in { INSERT: 1, UPSERT: 1, UPDATE: 1, DELETE: 1 }))
+        cds.error`Only INSERT, UPSERT, UPDATE and DELETE queries can return the affected rows`
+      this[this.cmd].returning = columns.flat().map(c => (typeof c === 'string' && c !== '*' ? { ref: [c] } : c))
+      return this
+    }
+    timeout(ms) {
+      Object.defineProperty(this, '_timeout', { value: ms, configurable: true, writable: true })
+      return this
+    }
+    replace() {
+      if (this.cmd !== 'UPSERT') cds.error`Only UPSERT queries can replace the omitted children of compositions`
+      this.UPSERT.replace = true
+      return this
+    }
   },
 )
 
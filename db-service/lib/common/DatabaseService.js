@@ -1,21 +1,60 @@
 const SessionContext = require('./session-context')
 const ConnectionPool = require('./generic-pool')
+const ConnectionBudget = require('./connection-budget')
 const infer = require('../infer')
 const cds = require('@sap/cds')
+const { EventEmitter } = require('events')
+const LOG = cds.log('db|pool')
 
 /** @typedef {unknown} DatabaseDriver */
 
 class DatabaseService extends cds.Service {
 
   init() {
-    cds.on('shutdown', () => this.disconnect())
+    cds.on('shutdown', () => {
+      clearInterval(this._reaper)
+      return this.disconnect()
+    })
+    const { tenantIdleTimeoutMillis: idle, tenantEvictionRunIntervalMillis: interval = idle, maxTotal } = this.pools._factory?.options || {}
+    if (idle > 0) this._reaper = setInterval(() => this.evictIdlePools(idle).catch(LOG.error), interval).unref()
+    if (maxTotal > 0) this.budget = new ConnectionBudget(maxTotal, tenant => this._reclaim(tenant))
     return super.init()
   }
 
   /**
-   * Dictionary of connection pools per tenant
+   * Dictionary of connection pools per tenant, with pools to the read-only
+   * replica, if configured, being registered as `<tenant>:replica`.
    */
-  pools = Object.setPrototypeOf({}, { _factory: this.factory })
+  pools = Object.setPrototypeOf({}, { _factory: this.factory, _replica: this.replica })
+
+  /**
+   * Returns a pool factory for the read-only replica configured like so:
+   *
+   *     "db": { "kind": "postgres", "credentials": {...}, "replica": { "credentials": {...} } }
+   *
+   * The replica options are merged into the service's options, hence the
+   * replica can also have its own `pool` configuration.
+   * @type {import('./factory').Factory<DatabaseDriver>}
+   */
+  get replica() {
+    const { replica } = this.options
+    if (!replica) return
+    const options = { ...this.options, ...replica, replica: undefined }
+    return Reflect.get(this, 'factory', { __proto__: this, options })
+  }
+
+  /**
+   * Emits connection pool events of all tenants, like so:
+   *
+   *     cds.db.metrics.on('exhausted', ({ tenant, pending }) => ...)
+   *
+   * Events are `create`, `destroy`, `acquire`, `acquireError`, `release`,
+   * `exhausted`, when an acquire has to wait for a connection, and `leak`,
+   * when a connection is held longer than `pool.leakDetectionThresholdMillis`.
+   * Leaked connections are logged, and reclaimed from their transactions
+   * with `pool.leakDetectionAction` set to `destroy`.
+   */
+  metrics = new EventEmitter()
 
   /**
    * Return a pool factory + options property as expected by
@@ -44,7 +83,16 @@ class DatabaseService extends cds.Service {
   /**
    * Acquires a pooled connection and starts a session, including setting
    * session context like `$user.id` or `$user.locale`, and starting a
-   * transaction with `BEGIN`
+   * transaction with `BEGIN`. The isolation level and access mode of the
+   * transaction can be specified like so:
+   *
+   *     await db.tx({ isolation: 'serializable', readOnly: true }, tx => ...)
+   *
+   * If a replica is configured, transactions are started on it when...
+   * - `readOnly: true` is given, in which case writes are rejected
+   * - `replica: true` is given, in which case the transaction is promoted
+   *   to the primary on the first write, as done for standalone SELECTs
+   *
    * @returns this
    */
   async begin (min) {
@@ -57,10 +105,21 @@ class DatabaseService extends cds.Service {
     // REVISIT: can we revisit the below revisit now?
     // REVISIT: tenant should be undefined if !this.isMultitenant
     let isMultitenant = 'multiTenant' in this.options ? this.options.multiTenant : cds.env.requires.multitenancy
-    let tenant = isMultitenant && ctx.tenant
+    let tenant = (this._tenant = isMultitenant && ctx.tenant)
+
+    const { isolation, readOnly } = ctx
+    if (isolation && !_isolation_levels.includes(isolation)) cds.error`Invalid isolation level: ${isolation}`
+    if (ctx.timeout > 0) this._deadline ??= AbortSignal.timeout(ctx.timeout)
+
+    // Read-only transactions go to the replica, if configured, and so do ones
+    // flagged with `replica: true` until promoted to the primary by a write
+    const replica = (this._replica = !!((readOnly || ctx.replica) && this.pools._replica && !this._promoted))
 
     // Setting this.pool as used in this.acquire() and this.release()
-    this.pool = this.pools[tenant] ??= new ConnectionPool(this.pools._factory, tenant)
+    this.pool = replica
+      ? (this.pools[`${tenant}:replica`] ??= this.createPool(tenant, this.pools._replica))
+      : (this.pools[tenant] ??= this.createPool(tenant))
+    this.pool._lastUsed = performance.now()
 
     // Acquire a pooled connection
     this.dbc = await this.acquire()
@@ -69,7 +128,7 @@ class DatabaseService extends cds.Service {
     // Begin a session...
     if (!min) try {
       await this.set(new SessionContext(ctx))
-      await this.send('BEGIN')
+      await this.send('BEGIN', isolation || readOnly ? { isolation, readOnly: !!readOnly } : undefined)
     } catch (e) {
       this.release()
       throw e
@@ -77,6 +136,94 @@ class DatabaseService extends cds.Service {
     return this
   }
 
+  /**
+   * Routes standalone SELECTs, i.e. ones not running in an open transaction,
+   * to the read-only replica, if configured.
+   */
+  dispatch(req) {
+    if (!this.context && this.pools._replica && _is_read(req.query)) {
+      const tx = cds.context?.tx
+      if (!tx || tx._done === 'committed') return this.tx({ replica: true }, tx => tx.dispatch(req))
+    }
+    return super.dispatch(req)
+  }
+
+  /**
+   * Rejects writes in read-only transactions, and promotes transactions
+   * running on the replica to the primary on the first write. As only reads
+   * happened before, the replica transaction is simply discarded, and a new
+   * one is started on the primary.
+   *
+   * Queries are cancelled when exceeding their timeout, the deadline of the
+   * transaction, or when the transaction's signal is aborted:
+   *
+   *     await db.tx({ timeout: 5000, signal }, tx => tx.run(SELECT.from(Books).timeout(1000)))
+   *
+   * The default timeout per query can be configured with `statementTimeout`.
+   * Queries run by `db.foreach()` can be cancelled until all rows are read.
+   */
+  async handle(req) {
+    if (!req.query) return super.handle(req)
+    if (!_is_read(req.query)) {
+      if (this.context.readOnly) cds.error('Cannot modify data in a read-only transaction', { code: 'READ_ONLY_TRANSACTION' })
+      if (this._replica) await this._promote()
+    }
+    const timeout = req.query._timeout ?? this.options.statementTimeout
+    const signals = [this.context.signal, this._deadline, timeout > 0 && AbortSignal.timeout(timeout)].filter(Boolean)
+    if (!signals.length) return super.handle(req)
+    const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0]
+    if (signal.aborted) throw _cancelled(signal.reason)
+    let onabort, iterating
+    const aborted = new Promise((_, reject) => signal.addEventListener('abort', onabort = () => {
+      const error = _cancelled(signal.reason)
+      this.cancel(error).catch(() => {})
+      reject(error)
+    }, { once: true }))
+    const done = () => signal.removeEventListener('abort', onabort)
+    try {
+      const result = await Promise.race([super.handle(req), aborted])
+      if (req.query._iterate && result?.[Symbol.asyncIterator]) {
+        aborted.catch(() => {}) // rejections surface through the iterated rows then
+        iterating = true
+        return _finally(result, done)
+      }
+      return result
+    } catch (e) {
+      // Cancelled by the database itself, e.g. through a server-side timeout
+      if (!signal.aborted && this.isCancelled(e)) throw _cancelled(new DOMException(e.message, 'TimeoutError'))
+      throw e
+    } finally {
+      if (!iterating) done()
+    }
+  }
+
+  /**
+   * Cancels the statement currently running on this.dbc, if any.
+   * This is for subclasses to implement, if supported by the database.
+   * @param {Error} reason - the error the query is rejected with
+   */
+  // eslint-disable-next-line no-unused-vars
+  async cancel(reason) {}
+
+  /**
+   * Returns true if the given error is raised by the database for a
+   * cancelled statement. This is for subclasses to classify their
+   * database's errors.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  // eslint-disable-next-line no-unused-vars
+  isCancelled(err) {
+    return false
+  }
+
+  async _promote() {
+    await this.send('ROLLBACK')
+    await this.release()
+    this._promoted = true
+    await this.begin()
+  }
+
   /**
    * Commits a transaction and releases the connection to the pool.
    */
@@ -98,6 +245,125 @@ class DatabaseService extends cds.Service {
     }
   }
 
+  /**
+   * Sets a savepoint within the current transaction, which allows to roll
+   * back parts of a transaction with {@link DatabaseService#rollbackTo}.
+   * @param {string} name
+   */
+  async savepoint(name) {
+    await this.send('SAVEPOINT', { name })
+  }
+
+  /**
+   * Rolls back all changes since the given savepoint was set, without
+   * ending the transaction. The savepoint stays active.
+   * @param {string} name
+   */
+  async rollbackTo(name) {
+    await this.send('ROLLBACK TO SAVEPOINT', { name })
+  }
+
+  /**
+   * @typedef {object} PlanStep
+   * @property {number} depth - nesting level within the plan, starting at 0
+   * @property {string} operation - e.g. `SCAN`, `SEARCH`, `Seq Scan`, `Index Scan`, `Hash Join`
+   * @property {string} [table] - the table or alias the step reads from, if any
+   * @property {string} [index] - the index used to read from `table`, if any
+   * @property {number} [rows] - the estimated number of rows, if the database provides one
+   * @property {unknown} detail - the database specific description of the step
+   */
+
+  /**
+   * Returns the execution plan of the given query without running it. The
+   * steps are listed in plan order, i.e. parents before their children, so
+   * the steps having a `table` reflect the join order.
+   * @param {import('@sap/cds/apis/cqn').Query|string} query - a CQN query or SQL string
+   * @param {unknown[]} [data] - the values to bind to a SQL string
+   * @returns {Promise<{ sql: string, steps: PlanStep[] }>}
+   */
+  async explain(query, data) {
+    return this.send('EXPLAIN', { query, data })
+  }
+
+  /**
+   * Overrides srv.tx() to map nested transactions to savepoints, if the
+   * `savepoints` option is enabled. That is, `srv.tx(fn)` called on an
+   * open transaction, or within a context having one, runs `fn` within a
+   * savepoint of that transaction, which is rolled back if `fn` fails:
+   *
+   *     await db.tx (async tx => {
+   *       for (let each of records) try {
+   *         await tx.tx (() => INSERT.into(Foo).entries(each))
+   *       } catch { skipped.push(each) }
+   *     })
+   *
+   * Savepoints share the isolation level, access mode and timeout of their
+   * transaction, so nested calls passing different ones are rejected.
+   */
+  tx(ctx, fn) {
+    if (typeof ctx === 'function' || typeof fn === 'function') {
+      if (this.options.savepoints) {
+        const tx = this.context ? this : cds.context?.context?.transactions?.get(this)
+        if (tx === this || tx?.dbc) return fn ? tx._nested(fn, ctx) : tx._nested(ctx)
+      }
+      const retry = ctx?.retry ?? this.options.retry
+      if (retry && !this.context && !(ctx instanceof cds.EventContext)) return this._retry(ctx, fn, retry)
+    }
+    return super.tx(...arguments)
+  }
+
+  /**
+   * Runs `srv.tx(fn)` and re-runs it in a new transaction, i.e. on a fresh
+   * connection, whenever it fails with an error classified as retryable by
+   * {@link DatabaseService#isRetryable}, like serialization failures and
+   * deadlocks. Enabled through the `retry` option of the service or passed
+   * to `srv.tx()`, with all properties being optional:
+   *
+   *     await db.tx({ retry: { attempts: 3, backoff: 100, maxBackoff: 5000, jitter: 0.5 } }, tx => ...)
+   *
+   * The delay between attempts grows exponentially from `backoff` up to
+   * `maxBackoff` milliseconds, reduced by a random share of up to `jitter`.
+   */
+  async _retry(ctx, fn, retry) {
+    const { attempts = 3, backoff = 100, maxBackoff = 5000, jitter = 0.5 } = retry === true ? {} : retry
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await super.tx(ctx, fn)
+      } catch (err) {
+        if (attempt >= attempts || !this.isRetryable(err)) throw err
+        const delay = Math.min(backoff * 2 ** (attempt - 1), maxBackoff) * (1 - jitter * Math.random())
+        await new Promise(resolve => setTimeout(resolve, delay))
+      }
+    }
+  }
+
+  /**
+   * Returns true if the given error is caused by a transient conflict with
+   * concurrent transactions, so that re-running the transaction might succeed.
+   * This is for subclasses to classify their database's errors.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  // eslint-disable-next-line no-unused-vars
+  isRetryable(err) {
+    return false
+  }
+
+  async _nested(fn, ctx) {
+    const conflicts = ctx ? _tx_options.filter(o => o in ctx && ctx[o] !== this.context[o] && (ctx[o] || this.context[o])) : []
+    if (conflicts.length) cds.error`Nested transactions can't change the ${conflicts.join(', ')} of their transaction`
+    const name = `savepoint_${(this._savepoints = (this._savepoints || 0) + 1)}`
+    await this.savepoint(name)
+    try {
+      const result = await fn(this)
+      await this.release(name)
+      return result
+    } catch (e) {
+      await this.rollbackTo(name)
+      throw e
+    }
+  }
+
   /**
    * Acquires a connection from this.pool, stored into this.dbc
    * This is for subclasses to intercept, if required.
@@ -109,11 +375,16 @@ class DatabaseService extends cds.Service {
   /**
    * Releases own connection, i.e. tix.dbc, from this.pool
    * This is for subclasses to intercept, if required.
+   * If called with a savepoint name, the savepoint is released instead,
+   * keeping its changes as part of the current transaction.
+   * @param {string} [savepoint]
    */
-  async release() {
+  async release(savepoint) {
+    if (typeof savepoint === 'string') return void await this.send('RELEASE SAVEPOINT', { name: savepoint })
     if (!this.dbc) return
     const dbc = this.dbc
     this.dbc = undefined
+    this.pool._lastUsed = performance.now()
     await this.pool.release(dbc)
   }
 
@@ -128,9 +399,95 @@ class DatabaseService extends cds.Service {
     await this.pool.destroy(dbc)
   }
 
-  // REVISIT: should happen automatically after a configurable time
+  /**
+   * Returns the pool options for the given tenant, which allows to give
+   * individual tenants larger or smaller pools, for example like so:
+   *
+   *     cds.db.poolOptions4 = (tenant, options) => premium.has(tenant) ? { ...options, max: 50 } : options
+   *
+   * @param {string} tenant
+   * @param {import('generic-pool').Options} options - the configured pool options
+   * @returns {import('generic-pool').Options}
+   */
+  poolOptions4(tenant, options) {
+    return options
+  }
+
+  /**
+   * Creates a new connection pool for the given tenant. When more than
+   * `pool.maxTenants` tenants have pools, the least recently used idle tenant
+   * is disconnected first. Replica pools count as part of their tenants.
+   * Pools with borrowed connections are never evicted, so the limit can
+   * temporarily be exceeded under load.
+   *
+   * With `pool.maxTotal` configured, all tenant pools of the primary
+   * database share a budget of that many connections.
+   * @param {string} tenant
+   * @param {import('./factory').Factory<DatabaseDriver>} [factory]
+   */
+  createPool(tenant, factory = this.pools._factory) {
+    const budget = factory === this.pools._factory ? this.budget : undefined
+    const options = this.poolOptions4(tenant, factory.options)
+    if (options !== factory.options) factory = { __proto__: factory, options }
+    const { maxTenants } = this.pools._factory.options
+    if (maxTenants > 0) {
+      const tenants = Object.keys(this.pools).filter(t => !t.endsWith(':replica'))
+      if (tenants.length >= maxTenants) {
+        const lru = tenants
+          .filter(t => _idle(this.pools[t]) && _idle(this.pools[`${t}:replica`]))
+          .reduce((lru, t) => (!lru || this.pools[t]._lastUsed < this.pools[lru]._lastUsed ? t : lru), undefined)
+        if (lru) this.disconnect(lru).catch(e => LOG.warn(`Failed to disconnect the pool of tenant ${lru}:`, e))
+      }
+    }
+    const pool = new ConnectionPool(factory, tenant, budget)
+    for (let each of ['create', 'destroy', 'acquire', 'acquireError', 'release', 'exhausted', 'leak']) {
+      pool.on(each, e => this.metrics.emit(each, e))
+    }
+    return pool
+  }
+
+  // Destroys an idle connection of the least recently used other tenant, to free up budget for the given one
+  _reclaim(tenant) {
+    const lru = Object.keys(this.pools)
+      .filter(t => t !== String(tenant) && !t.endsWith(':replica') && this.pools[t].available > 0)
+      .reduce((lru, t) => (!lru || this.pools[t]._lastUsed < this.pools[lru]._lastUsed ? t : lru), undefined)
+    if (lru) this.pools[lru].destroyIdle()
+  }
+
+  /**
+   * Returns a snapshot of the connection pool statistics per tenant,
+   * including the current pool sizes, counters, as well as histograms
+   * of acquire latencies and connection lifetimes in milliseconds.
+   * The `statements` counters sum up the prepared statement caches of
+   * all connections, as described in {@link SQLService#statements4}.
+   */
+  stats() {
+    const stats = {}
+    for (let tenant of Object.keys(this.pools)) {
+      const pool = this.pools[tenant]
+      const { size, available, borrowed, pending, max, min } = pool
+      stats[tenant] = { size, available, borrowed, pending, max, min, ...pool.stats.toJSON() }
+    }
+    return stats
+  }
+
+  /**
+   * Disconnects all tenant pools which have not been used for the given
+   * amount of milliseconds and have no borrowed or pending connections.
+   * This is called periodically when `pool.tenantIdleTimeoutMillis` is configured.
+   * @param {number} idleTimeoutMillis
+   */
+  async evictIdlePools(idleTimeoutMillis) {
+    const now = performance.now()
+    const tenants = Object.keys(this.pools).filter(t => {
+      const pool = this.pools[t]
+      return _idle(pool) && now - pool._lastUsed >= idleTimeoutMillis
+    })
+    await Promise.all(tenants.map(t => this.disconnect(t)))
+  }
+
   async disconnect (tenant) {
-    const tenants = tenant ? [tenant] : Object.keys(this.pools)
+    const tenants = tenant ? [tenant, `${tenant}:replica`] : Object.keys(this.pools)
     await Promise.all (tenants.map (async t => {
       const pool = this.pools[t]; if (!pool) return
       delete this.pools[t]
@@ -155,6 +512,8 @@ class DatabaseService extends cds.Service {
   run(query, data, ...etc) {
     // Allow db.run('...',1,2,3,4)
     if (data !== undefined && typeof query === 'string' && typeof data !== 'object') arguments[1] = [data, ...etc]
+    // Run UNION, INTERSECT and EXCEPT queries as SELECTs from the combined result
+    if (query?.SET) arguments[0] = _select4(query)
     return super.run(...arguments) //> important to call like that for tagged template literal args
   }
 
@@ -167,5 +526,35 @@ class DatabaseService extends cds.Service {
   }
 }
 
+const _select4 = ({ SET: { orderBy, limit, ...SET }, as = '__set__' }) => {
+  const q = SELECT.from({ SET, as })
+  if (orderBy) q.SELECT.orderBy = orderBy
+  if (limit) q.SELECT.limit = limit
+  return q
+}
+const _is_read = query => query?.SELECT
+  ? !query.SELECT.forUpdate && !query.SELECT.forShareLock
+  : typeof query === 'string' && (/^\s*SELECT\b/i.test(query) || _pragma_reads.test(query) || /^\s*WITH\b/i.test(query) && !_writes.test(query))
+// Common table expressions can be followed by writes, e.g. WITH ... DELETE, whereas REPLACE
+// is only a write as a statement, e.g. WITH ... REPLACE INTO, and not as the replace() function
+const _writes = /\b(INSERT|UPDATE|UPSERT|DELETE|MERGE)\b|\bREPLACE\s+INTO\b|\bFOR\s+(UPDATE|SHARE)\b/i
+// Pragmas without values, or introspecting ones like table_info(...), only read. Others, like
+// PRAGMA journal_mode = WAL or PRAGMA journal_mode(WAL), are treated as writes.
+const _pragma_reads = /^\s*PRAGMA\s+(\w+\.)?(\w+|\w+_(info|list|check)\s*\([^)]*\))\s*;?\s*$/i
+const _cancelled = reason => reason?.name === 'TimeoutError'
+  ? new cds.error('Query exceeded its timeout and was cancelled', { name: 'TimeoutError', code: 'STATEMENT_TIMEOUT', cause: reason })
+  : new cds.error('Query was cancelled', { name: 'AbortError', code: 'QUERY_CANCELLED', cause: reason })
+async function* _finally(rows, fn) {
+  try {
+    yield* rows
+  } finally {
+    fn()
+  }
+}
+const _isolation_levels = ['read committed', 'repeatable read', 'serializable']
+// The options of transactions, which savepoints can't change
+const _tx_options = ['isolation', 'readOnly', 'replica', 'timeout']
+const _idle = pool => !pool || (pool.borrowed === 0 && pool.pending === 0)
+
 DatabaseService.prototype.isDatabaseService = true
 module.exports = DatabaseService
@@ -0,0 +1,68 @@
+const cds = require('@sap/cds')
+
+/**
+ * Limits the total number of connections opened by all tenant pools of a
+ * database service, as configured through `pool.maxTotal`. When exhausted,
+ * tenants waiting for a connection are served round-robin, so that a single
+ * busy tenant cannot starve all others.
+ */
+class ConnectionBudget {
+  /**
+   * @param {number} max
+   * @param {(tenant: string) => void} [reclaim] - called when a tenant has to wait, to free up idle connections
+   */
+  constructor(max, reclaim) {
+    this.max = max
+    this.used = 0
+    this.reclaim = reclaim
+    /** @type {Map<string, Function[]>} waiting creates per tenant, in round-robin order */
+    this.queues = new Map()
+  }
+
+  /** Number of creates waiting for a connection to become available */
+  get pending() {
+    let pending = 0
+    for (const waiters of this.queues.values()) pending += waiters.length
+    return pending
+  }
+
+  /**
+   * Resolves as soon as the given tenant may open a new connection, or
+   * rejects if that takes longer than the given timeout, if any
+   * @param {string} tenant
+   * @param {number} [timeout] - in milliseconds
+   */
+  acquire(tenant, timeout) {
+    if (this.used < this.max && !this.queues.size) return void this.used++
+    return new Promise((resolve, reject) => {
+      let timer
+      const waiter = () => resolve(clearTimeout(timer))
+      const waiters = this.queues.get(tenant)
+      if (waiters) waiters.push(waiter)
+      else this.queues.set(tenant, [waiter])
+      if (timeout > 0) timer = setTimeout(() => {
+        const waiters = this.queues.get(tenant)
+        waiters.splice(waiters.indexOf(waiter), 1)
+        if (!waiters.length) this.queues.delete(tenant)
+        reject(new cds.error(`Timed out after ${timeout}ms waiting for a connection within pool.maxTotal`, { code: 'POOL_BUDGET_TIMEOUT' }))
+      }, timeout).unref()
+      this.reclaim?.(tenant)
+    })
+  }
+
+  /**
+   * Returns a connection to the budget, which is handed over to the next tenant in turn, if any
+   */
+  release() {
+    const next = this.queues.entries().next()
+    if (next.done) return void this.used--
+    const [tenant, waiters] = next.value
+    const resolve = waiters.shift()
+    // Re-inserting moves the tenant to the end of the round
+    this.queues.delete(tenant)
+    if (waiters.length) this.queues.set(tenant, waiters)
+    resolve()
+  }
+}
+
+module.exports = ConnectionBudget
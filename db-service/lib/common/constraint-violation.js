@@ -0,0 +1,52 @@
+/**
+ * The kinds of constraint violations, with the error code and HTTP status
+ * each is reported with by default
+ */
+const KINDS = {
+  unique: { code: 'UNIQUE_CONSTRAINT_VIOLATION', status: 409 },
+  not_null: { code: 'MUST_NOT_BE_NULL', status: 400 },
+  foreign_key: { code: 'FK_CONSTRAINT_VIOLATION', status: 400 },
+  check: { code: 'CHECK_CONSTRAINT_VIOLATION', status: 400 },
+}
+
+/**
+ * Error for statements violating a database constraint, as classified by
+ * {@link SQLService#constraint4} from the errors of the respective driver,
+ * which is kept as `cause`. Besides `code` and HTTP `status`, it tells the
+ * `entity` and `elements` involved, with the first element as `target`, as
+ * well as the `keys` of the offending entry, if known.
+ *
+ * The message is the code, so that it can be used as key for translated
+ * messages, while the one of the database is kept as `originalMessage`.
+ */
+class ConstraintViolation extends Error {
+  /**
+   * @param {'unique'|'not_null'|'foreign_key'|'check'} kind
+   * @param {object} details
+   * @param {Error} details.cause - the original database error
+   * @param {string} [details.code] - overrides the default code of the kind
+   * @param {string} [details.entity] - the name of the entity
+   * @param {string[]} [details.elements] - the names of the elements
+   * @param {object} [details.keys] - the key values of the offending entry
+   * @param {string} [details.constraint] - the name or condition of the constraint
+   */
+  constructor(kind, { cause, code, entity, elements = [], keys, constraint }) {
+    const defaults = KINDS[kind]
+    super(code || defaults.code, { cause })
+    this.kind = kind
+    this.code = code || defaults.code
+    this.originalMessage = cause.message
+    this.status = defaults.status
+    this.entity = entity
+    this.elements = elements
+    if (elements.length) this.target = elements[0]
+    if (keys) this.keys = keys
+    if (constraint) this.constraint = constraint
+  }
+
+  get name() {
+    return 'ConstraintViolation'
+  }
+}
+
+module.exports = ConstraintViolation
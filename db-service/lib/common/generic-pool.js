@@ -1,12 +1,112 @@
 const { createPool } = require('generic-pool')
+const cds = require('@sap/cds')
+const LOG = cds.log('db|pool')
 
-function ConnectionPool (factory, tenant) {
-  let bound_factory = { __proto__: factory, create: factory.create.bind(null, tenant) }
-  return createPool(bound_factory, factory.options)
+function ConnectionPool (factory, tenant, budget) {
+  const stats = new PoolStats()
+  const created = new WeakMap, acquired = new WeakMap, leaks = new WeakMap
+  const { leakDetectionThresholdMillis: threshold, leakDetectionAction: action } = factory.options
+  if (action && action !== 'destroy') LOG.warn(`Ignoring unsupported pool.leakDetectionAction: ${action}`)
+  const bound_factory = {
+    __proto__: factory,
+    create: async () => {
+      await budget?.acquire(tenant, factory.options.acquireTimeoutMillis)
+      let dbc
+      try {
+        dbc = await factory.create(tenant)
+      } catch (err) {
+        budget?.release()
+        throw err
+      }
+      created.set(dbc, Date.now())
+      stats.created++
+      pool.emit('create', { tenant })
+      return dbc
+    },
+    destroy: dbc => {
+      const lifetime = Date.now() - created.get(dbc)
+      stats.destroyed++
+      stats.lifetime.record(lifetime)
+      pool.emit('destroy', { tenant, lifetime })
+      return Promise.resolve(factory.destroy(dbc)).finally(() => budget?.release())
+    },
+  }
+  const pool = createPool(bound_factory, factory.options)
+  const { acquire, release, destroy } = pool
+
+  // Flags connections held longer than the threshold, and optionally reclaims them
+  const detect_leak = dbc => {
+    const { stack } = new Error('Connection acquired at:')
+    leaks.set(dbc, setTimeout(() => {
+      const held = Date.now() - acquired.get(dbc)
+      stats.leaked++
+      LOG.warn(`Connection of tenant ${tenant} held for ${held}ms, probably leaked by a transaction never committed or rolled back.`, stack)
+      pool.emit('leak', { tenant, held, stack })
+      // Only destroying is safe, as released connections could still be used by their transactions
+      if (action === 'destroy') {
+        LOG.warn(`Reclaiming leaked connection of tenant ${tenant} with pool.destroy()`)
+        pool.destroy(dbc).catch(() => {})
+      }
+    }, threshold).unref())
+  }
+  const returned = dbc => {
+    clearTimeout(leaks.get(dbc))
+    leaks.delete(dbc)
+    const held = Date.now() - acquired.get(dbc)
+    acquired.delete(dbc)
+    return held
+  }
+
+  return Object.assign(pool, {
+    stats,
+    async acquire() {
+      const start = Date.now()
+      if (this.spareResourceCapacity < 1 && this.available < 1) {
+        this.emit('exhausted', { tenant, size: this.size, max: this.max, pending: this.pending + 1 })
+      }
+      try {
+        const dbc = await acquire.call(this)
+        const latency = Date.now() - start
+        acquired.set(dbc, Date.now())
+        if (threshold > 0) detect_leak(dbc)
+        stats.acquired++
+        stats.acquireLatency.record(latency)
+        this.emit('acquire', { tenant, latency })
+        return dbc
+      } catch (err) {
+        stats.acquireErrors++
+        this.emit('acquireError', { tenant, latency: Date.now() - start, error: err })
+        throw err
+      }
+    },
+    release(dbc) {
+      if (!acquired.has(dbc)) return Promise.resolve() // already reclaimed as leaked
+      const held = returned(dbc)
+      stats.released++
+      this.emit('release', { tenant, held })
+      // Hand the connection over to other tenants waiting for the budget, unless needed by own waiters
+      if (budget?.pending && this.pending === 0) return destroy.call(this, dbc)
+      return release.call(this, dbc)
+    },
+    destroy(dbc) {
+      if (!acquired.has(dbc)) return Promise.resolve() // already reclaimed as leaked
+      returned(dbc)
+      return destroy.call(this, dbc)
+    },
+    // Destroys an idle connection, which acquire() hands out right away without creating a new one.
+    // Bypasses the stats and events of borrowed connections, as it's never used.
+    destroyIdle() {
+      if (this.available < 1) return false
+      acquire.call(this)
+        .then(dbc => destroy.call(this, dbc))
+        .catch(e => LOG.warn(`Failed to destroy an idle connection of tenant ${tenant}:`, e))
+      return true
+    },
+  })
 }
 
-function TrackedConnectionPool (factory, tenant) {
-  const pool = new ConnectionPool (factory, tenant)
+function TrackedConnectionPool (factory, tenant, budget) {
+  const pool = new ConnectionPool (factory, tenant, budget)
   const { acquire, release } = pool
   return Object.assign(pool, {
     async acquire() {
@@ -28,5 +128,63 @@ function TrackedConnectionPool (factory, tenant) {
   })
 }
 
+/**
+ * Counters and histograms collected for each connection pool
+ */
+class PoolStats {
+  created = 0
+  destroyed = 0
+  acquired = 0
+  acquireErrors = 0
+  released = 0
+  leaked = 0
+  /** Counters of the prepared statement caches of all connections */
+  statements = { hits: 0, misses: 0, evictions: 0 }
+  /** Time in ms spent waiting for a connection in `pool.acquire()` */
+  acquireLatency = new Histogram()
+  /** Time in ms between creating and destroying a connection */
+  lifetime = new Histogram([1000, 10000, 60000, 300000, 900000, 3600000])
+
+  toJSON() {
+    return {
+      ...this,
+      statements: { ...this.statements },
+      acquireLatency: this.acquireLatency.toJSON(),
+      lifetime: this.lifetime.toJSON(),
+    }
+  }
+}
+
+/**
+ * Cumulative histogram with fixed upper bounds, as commonly used by
+ * metrics backends like Prometheus or OpenTelemetry.
+ */
+class Histogram {
+  constructor(bounds = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]) {
+    this.bounds = bounds
+    this.counts = new Array(bounds.length + 1).fill(0)
+    this.count = 0
+    this.sum = 0
+    this.max = 0
+  }
+
+  record(value) {
+    let i = 0
+    while (i < this.bounds.length && value > this.bounds[i]) i++
+    this.counts[i]++
+    this.count++
+    this.sum += value
+    if (value > this.max) this.max = value
+  }
+
+  toJSON() {
+    const buckets = {}
+    let cumulated = 0
+    this.bounds.forEach((le, i) => (buckets[le] = cumulated += this.counts[i]))
+    buckets['+Inf'] = this.count
+    return { count: this.count, sum: this.sum, max: this.max, buckets }
+  }
+}
+
 const DEBUG = /\bpool\b/.test(process.env.DEBUG)
 module.exports = DEBUG ? TrackedConnectionPool : ConnectionPool
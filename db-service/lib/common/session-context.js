@@ -3,6 +3,11 @@ const cds = require('@sap/cds')
 class SessionContext {
   constructor(ctx) {
     Object.defineProperty(this, 'ctx', { value: ctx })
+    // User attributes as `$user.<attr>`, and app-defined variables from cds.context.session as `$session.<name>`
+    const { attr } = ctx.user || {}
+    for (const each in attr) if (attr[each] != null && !('$user.' + each in this)) this['$user.' + each] = _value4(attr[each])
+    const { session } = ctx
+    for (const each in session) if (session[each] != null) this['$session.' + each] = _value4(session[each])
   }
   get '$user.id'() {
     return (super['$user.id'] = this.ctx.user?.id || 'anonymous')
@@ -10,6 +15,9 @@ class SessionContext {
   get '$user.locale'() {
     return (super['$user.locale'] = this.ctx.locale || cds.env.i18n.default_language)
   }
+  get $tenant() {
+    return (super.$tenant = this.ctx.tenant || '')
+  }
   // REVISIT: should be decided in spec meeting for definitive name
   get $now() {
     return (super.$now = (this.ctx.timestamp || new Date()).toISOString())
@@ -28,6 +36,9 @@ class TemporalSessionContext extends SessionContext {
   }
 }
 
+// Session variables are strings in all databases, with multiple values being comma-separated
+const _value4 = x => (Array.isArray(x) ? x.join(',') : String(x))
+
 // Set all getters as enumerable
 const iterate = { enumerable: true }
 const getters = (obj) => {
@@ -0,0 +1,131 @@
+const cds = require('@sap/cds')
+const { AsyncLocalStorage } = require('async_hooks')
+const { Readable, finished } = require('stream')
+const { methods: _methods, wrap, rows4 } = require('./statements')
+
+const LOG = cds.log('slow-queries')
+
+/**
+ * Logs statements taking longer than `threshold` milliseconds, as well as a
+ * random sample of all others, as configured through option `slowQueries`:
+ *
+ *     "db": { "kind": "sqlite", "slowQueries": { "threshold": 500, "sampleRate": 0.01 } }
+ *
+ * Each statement is logged as a single line of JSON, which has the timings of
+ * prepare and execute, the row count, the tenant, the target entity and the
+ * originating CQN. Values are sanitized, i.e. only numbers and booleans are
+ * logged as is, while strings, binaries and the like are reduced to their type
+ * and length.
+ */
+class SlowQueryLog {
+  /**
+   * @param {{ threshold?: number, sampleRate?: number }|number|true} options - a number is taken as `threshold`
+   */
+  constructor(options) {
+    if (typeof options !== 'object') options = typeof options === 'number' ? { threshold: options } : {}
+    const { threshold = 1000, sampleRate = 0 } = options
+    this.threshold = threshold
+    this.sampleRate = sampleRate
+    /** @type {AsyncLocalStorage<import('@sap/cds/apis/services').Request>} the request being handled */
+    this.requests = new AsyncLocalStorage()
+  }
+
+  /**
+   * Wraps the given prepared statement to log its executions. Executions
+   * through `stream` and `iterate` are logged once all rows are read, with
+   * `execute` including the time taken by the consumer.
+   * @param {object} ps - the prepared statement
+   * @param {string} sql
+   * @param {object} srv - the database service or transaction which prepared the statement
+   * @param {number} prepare - the time taken to prepare the statement, in milliseconds
+   */
+  track(ps, sql, srv, prepare) {
+    const req = this.requests.getStore()
+    const log = (values, start, rows) => {
+      const execute = performance.now() - start
+      const duration = prepare + execute
+      const slow = duration >= this.threshold
+      if (slow || Math.random() < this.sampleRate) this.log({
+        slow,
+        duration: _ms(duration),
+        prepare: _ms(prepare),
+        execute: _ms(execute),
+        rows,
+        tenant: req?.tenant ?? srv.context?.tenant,
+        entity: (req?.target ?? req?.query?.target)?.name,
+        sql,
+        values: _values4(values),
+        cqn: typeof req?.query === 'object' ? JSON.parse(JSON.stringify(req.query, _sanitize_cqn)) : undefined,
+      })
+      // Only the first execution of a statement accounts for its preparation
+      prepare = 0
+    }
+    const logged = (values, start) => result => {
+      log(values, start, rows4(result) ?? (result == null ? 0 : 1))
+      return result
+    }
+    const tracked = method => function (values, ...more) {
+      const start = performance.now()
+      const result = ps[method](values, ...more)
+      return typeof result?.then === 'function' ? result.then(logged(values, start)) : logged(values, start)(result)
+    }
+    const methods = {}
+    for (const method of _methods) if (ps[method]) methods[method] = tracked(method)
+    if (ps.stream) methods.stream = function (values, ...more) {
+      const start = performance.now()
+      const streamed = stream => {
+        if (stream instanceof Readable) finished(stream, () => log(values, start))
+        else log(values, start)
+        return stream
+      }
+      const result = ps.stream(values, ...more)
+      return typeof result?.then === 'function' ? result.then(streamed) : streamed(result)
+    }
+    if (ps.iterate) methods.iterate = async function* (values, ...more) {
+      const start = performance.now()
+      let rows = 0
+      try {
+        for await (const row of ps.iterate(values, ...more)) {
+          rows++
+          yield row
+        }
+      } finally {
+        log(values, start, rows)
+      }
+    }
+    return wrap(ps, methods)
+  }
+
+  /**
+   * Writes the given entry to the log. Override to ship entries elsewhere.
+   * @param {object} entry
+   */
+  log(entry) {
+    if (entry.slow) LOG.warn(JSON.stringify(entry))
+    else LOG.info(JSON.stringify(entry))
+  }
+}
+
+const _ms = ms => Math.round(ms * 1000) / 1000
+
+const _sanitize = value => {
+  if (value == null) return null
+  if (typeof value === 'number' || typeof value === 'boolean') return value
+  if (typeof value === 'string') return `<string(${value.length})>`
+  if (Buffer.isBuffer(value)) return `<binary(${value.length})>`
+  if (value instanceof Readable) return '<stream>'
+  if (Array.isArray(value)) return `<array(${value.length})>`
+  return `<${typeof value}>`
+}
+
+const _values4 = values => (Array.isArray(values) ? values.map(_sanitize) : values === undefined ? undefined : _sanitize(values))
+
+// Payloads and literals of the CQN are sanitized just like values
+const _payloads = { entries: 1, rows: 1, values: 1, data: 1, with: 1 }
+const _sanitize_cqn = (key, value) => {
+  if (key === 'val') return _sanitize(value)
+  if (key in _payloads) return Array.isArray(value) ? `<array(${value.length})>` : `<${typeof value}>`
+  return value
+}
+
+module.exports = SlowQueryLog
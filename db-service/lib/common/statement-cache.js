@@ -0,0 +1,62 @@
+/**
+ * Caches the prepared statements of a single database connection by their
+ * SQL text, so that they can be reused across transactions. Once the cache
+ * is full, the least recently used statement is evicted.
+ */
+class StatementCache {
+  /**
+   * @param {number} max - the maximum number of cached statements
+   * @param {(stmt: unknown) => void} [evict] - called with evicted statements, e.g. to drop them
+   * @param {{ hits: number, misses: number, evictions: number }} [stats] - counters to be updated
+   */
+  constructor(max, evict, stats = { hits: 0, misses: 0, evictions: 0 }) {
+    this.max = max
+    this.evict = evict
+    this.stats = stats
+    /** @type {Map<string, unknown>} cached statements, in least recently used order */
+    this.statements = new Map()
+  }
+
+  /** Number of cached statements */
+  get size() {
+    return this.statements.size
+  }
+
+  /**
+   * Returns the cached statement for the given SQL, if any
+   * @param {string} sql
+   */
+  get(sql) {
+    const stmt = this.statements.get(sql)
+    if (!stmt) return void this.stats.misses++
+    // Re-inserting moves the statement to the end of the LRU order
+    this.statements.delete(sql)
+    this.statements.set(sql, stmt)
+    this.stats.hits++
+    return stmt
+  }
+
+  /**
+   * Adds a statement to the cache, evicting the least recently used one if full
+   * @param {string} sql
+   * @param {unknown} stmt
+   */
+  set(sql, stmt) {
+    this.statements.set(sql, stmt)
+    if (this.statements.size <= this.max) return
+    const [lru, evicted] = this.statements.entries().next().value
+    this.statements.delete(lru)
+    this.stats.evictions++
+    this.evict?.(evicted)
+  }
+
+  /**
+   * Removes a statement from the cache without evicting it, e.g. if it failed to prepare
+   * @param {string} sql
+   */
+  delete(sql) {
+    this.statements.delete(sql)
+  }
+}
+
+module.exports = StatementCache
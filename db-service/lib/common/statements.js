@@ -0,0 +1,33 @@
+/**
+ * The methods of prepared statements returning their results at once,
+ * with `runBatch` and `proc` being HANA specific
+ */
+const methods = ['run', 'get', 'all', 'runBatch', 'proc']
+
+/**
+ * Wraps the given prepared statement, so that the given methods replace the
+ * ones of the statement, while all other properties are passed through
+ * @param {object} ps - the prepared statement
+ * @param {Record<string, Function>} wrapped - the replacing methods
+ */
+const wrap = (ps, wrapped) =>
+  new Proxy(ps, {
+    get(ps, p) {
+      if (p in wrapped) return wrapped[p]
+      const value = ps[p]
+      return typeof value === 'function' ? value.bind(ps) : value
+    },
+  })
+
+/**
+ * Returns the number of rows returned or affected by the given result of a
+ * prepared statement, if known
+ * @param {unknown} result
+ * @returns {number|undefined}
+ */
+const rows4 = result => {
+  if (Array.isArray(result)) return result.length
+  if (typeof result?.changes === 'number') return result.changes
+}
+
+module.exports = { methods, wrap, rows4 }
@@ -0,0 +1,151 @@
+const { Readable, finished } = require('stream')
+const { methods: _methods, wrap, rows4: _rows4 } = require('./statements')
+
+// Values of the OpenTelemetry API, which we don't depend on
+const SPAN_KIND_CLIENT = 2
+const STATUS_ERROR = 2
+
+/**
+ * @typedef {object} Span
+ * @property {(key: string, value: unknown) => void} setAttribute
+ * @property {(err: Error) => void} recordException
+ * @property {(status: { code: number, message?: string }) => void} setStatus
+ * @property {() => void} end
+ */
+
+/**
+ * @typedef {object} Tracer
+ * @property {(name: string, options: { kind: number, attributes: object }) => Span} startSpan
+ */
+
+/**
+ * Traces the statements of a database service, i.e. the preparation and each
+ * execution of prepared statements, including `stream` and `iterate`, as well as
+ * plain `exec` calls, as spans with the attributes defined by the OpenTelemetry
+ * semantic conventions for databases: `db.system`, `db.statement`,
+ * `db.operation` and `db.response.returned_rows`.
+ *
+ * Tracers only need to implement the {@link Tracer} subset of the OpenTelemetry
+ * API, so an OpenTelemetry tracer can be used as is, as well as any in-process
+ * collector without depending on an agent:
+ *
+ *     db.trace(require('@opentelemetry/api').trace.getTracer('db'))
+ */
+class Tracing {
+  /**
+   * @param {Tracer|null} tracer
+   * @param {string} system - the `db.system`, e.g. `sqlite`
+   */
+  constructor(tracer, system) {
+    this.tracer = tracer
+    this.system = system
+  }
+
+  /**
+   * Traces the preparation of the given statement, and wraps the prepared
+   * statement returned by `prepare` to trace its executions
+   * @param {string} sql
+   * @param {() => object|Promise<object>} prepare
+   */
+  prepare(sql, prepare) {
+    const ps = this.span(`prepare ${_operation4(sql)}`, sql, prepare, () => undefined)
+    return typeof ps?.then === 'function' ? ps.then(ps => this.track(ps, sql)) : this.track(ps, sql)
+  }
+
+  /**
+   * Traces the execution of the given plain SQL statement
+   * @param {string} sql
+   * @param {() => unknown} exec
+   */
+  exec(sql, exec) {
+    return this.span(_operation4(sql), sql, exec)
+  }
+
+  /**
+   * Wraps the given prepared statement to trace its executions
+   * @param {object} ps
+   * @param {string} sql
+   */
+  track(ps, sql) {
+    const name = _operation4(sql)
+    const traced = method => (...args) => this.span(name, sql, () => ps[method](...args))
+    const methods = {}
+    for (const method of _methods) if (ps[method]) methods[method] = traced(method)
+    if (ps.stream) methods.stream = (...args) => this.span(name, sql, () => ps.stream(...args), null)
+    if (ps.iterate) methods.iterate = (...args) => this._iterate(name, sql, () => ps.iterate(...args))
+    return wrap(ps, methods)
+  }
+
+  /**
+   * Runs `fn` within a new span, which ends as soon as the result is
+   * available, or when a streamed result is consumed entirely
+   * @param {string} name
+   * @param {string} sql
+   * @param {() => unknown} fn
+   * @param {((result: unknown) => number|undefined)|null} [rows4] - null for streamed results
+   */
+  span(name, sql, fn, rows4 = _rows4) {
+    if (!this.tracer) return fn()
+    const span = this._start(name, sql)
+    const fail = err => {
+      _fail(span, err)
+      span.end()
+      throw err
+    }
+    const done = result => {
+      if (rows4 === null && result instanceof Readable) {
+        finished(result, err => {
+          if (err) _fail(span, err)
+          span.end()
+        })
+        return result
+      }
+      const rows = rows4?.(result)
+      if (rows !== undefined) span.setAttribute('db.response.returned_rows', rows)
+      span.end()
+      return result
+    }
+    let result
+    try {
+      result = fn()
+    } catch (err) {
+      fail(err)
+    }
+    return typeof result?.then === 'function' ? result.then(done, fail) : done(result)
+  }
+
+  async *_iterate(name, sql, iterate) {
+    if (!this.tracer) return yield* iterate()
+    const span = this._start(name, sql)
+    let rows = 0
+    try {
+      for await (const row of iterate()) {
+        rows++
+        yield row
+      }
+    } catch (err) {
+      _fail(span, err)
+      throw err
+    } finally {
+      // Also ends the span when the loop is exited early
+      span.setAttribute('db.response.returned_rows', rows)
+      span.end()
+    }
+  }
+
+  _start(name, sql) {
+    return this.tracer.startSpan(name, {
+      kind: SPAN_KIND_CLIENT,
+      attributes: { 'db.system': this.system, 'db.statement': sql, 'db.operation': _operation4(sql) },
+    })
+  }
+}
+
+const _fail = (span, err) => {
+  span.recordException(err)
+  span.setStatus({ code: STATUS_ERROR, message: err.message })
+}
+
+const _operation4 = sql => /^\s*(\w+)/.exec(sql)?.[1].toUpperCase()
+
+module.exports = Tracing
@@ -1,6 +1,7 @@
 const cds = require('@sap/cds')
 const cds_infer = require('./infer')
 const cqn4sql = require('./cqn4sql')
+const { decodeAfter } = require('./utils')
 const _simple_queries = cds.env.features.sql_simple_queries
 const _strict_booleans = _simple_queries < 2
 
@@ -80,6 +81,7 @@ class CQN2SQLRenderer {
     /** @type {unknown[]} */
     this.values = [] // prepare values, filled in by subroutines
     this[kind]((this.cqn = q)) // actual sql rendering happens here
+    if (q[kind]?.returning) this.returning(q)
     if (vars?.length && !this.values?.length) this.values = vars
     if (vars && Object.keys(vars).length && !this.values?.length) this.values = vars
     const sanitize_values = process.env.NODE_ENV === 'production' && cds.env.log.sanitize_values !== false
@@ -223,6 +225,7 @@ class CQN2SQLRenderer {
    * @param {import('./infer/cqn').SELECT} q
    */
   SELECT(q) {
+    if (q.SELECT.limit?.after !== undefined) this.SELECT_after(q)
     let { from, expand, where, groupBy, having, orderBy, limit, one, distinct, localized, forUpdate, forShareLock } =
       q.SELECT
 
@@ -233,6 +236,8 @@ class CQN2SQLRenderer {
     // REVISIT: When selecting from an entity that is not in the model the from.where are not normalized (as cqn4sql is skipped)
     if (!where && from?.ref?.length === 1 && from.ref[0]?.where) where = from.ref[0]?.where
     const columns = this.SELECT_columns(q)
+    const count = this.SELECT_count(q)
+    if (count) columns.push(count)
     let sql = `SELECT`
     if (distinct) sql += ` DISTINCT`
     if (!_empty(columns)) sql += ` ${columns}`
@@ -254,6 +259,35 @@ class CQN2SQLRenderer {
     return (this.sql = sql)
   }
 
+  /**
+   * Renders a UNION, INTERSECT or EXCEPT query into generic SQL
+   * @param {import('./infer/cqn').SET} q
+   * @returns {string} SQL
+   */
+  SET(q) {
+    const { op, all, args, orderBy, limit } = q.SET
+    const operator = `${op.toUpperCase()}${all ? ' ALL' : ''}`
+    let sql = args.map(arg => this.SET_arg(arg)).join(` ${operator} `)
+    if (!_empty(orderBy)) sql += ` ORDER BY ${this.orderBy(orderBy)}`
+    if (limit) sql += ` LIMIT ${this.limit(limit)}`
+    return (this.sql = sql)
+  }
+
+  /**
+   * Renders a branch of a UNION, INTERSECT or EXCEPT query into generic SQL.
+   * Branches with their own order, limit or set operation are wrapped into
+   * a sub select, as not all databases allow parentheses in compound queries.
+   * The sub selects are aliased, as required by Postgres before version 16.
+   * @param {import('./infer/cqn').SELECT|import('./infer/cqn').SET} arg
+   * @returns {string} SQL
+   */
+  SET_arg(arg) {
+    if (arg.SET) return `SELECT * FROM (${this.SET(arg)}) as __set__`
+    const { orderBy, limit, one } = arg.SELECT
+    const sql = this.SELECT(arg)
+    return orderBy || limit || one ? `SELECT * FROM (${sql}) as __set__` : sql
+  }
+
   /**
    * Renders a column clause into generic SQL
    * @param {import('./infer/cqn').SELECT} param0
@@ -263,6 +297,102 @@ class CQN2SQLRenderer {
     return (q.SELECT.columns ?? ['*']).map(x => this.column_expr(x, q))
   }
 
+  /**
+   * Turns a keyset cursor, i.e. `SELECT.limit({ rows, after })`, into a predicate selecting the
+   * rows sorted after the given values, with the target's keys appended to the order as tiebreakers.
+   * The cursor is either an object with values for all sort columns, the continuation token of the
+   * previous page, or null for the first page. The sort values are selected as additional `$$after<i>$$` columns, from which
+   * the token for the next page is derived.
+   * @param {import('./infer/cqn').SELECT} q
+   */
+  SELECT_after(q) {
+    const { SELECT, target } = q
+    if (q !== this.cqn || !target || target._unresolved)
+      cds.error`Keyset pagination with SELECT.limit({ rows, after }) is only supported for queries on entities`
+    const { rows, offset, after } = SELECT.limit
+    let { from } = SELECT
+    while (from.args) from = from.args[0]
+
+    // Sort by column aliases as by their expressions, which are also allowed in where clauses
+    const orderBy = (SELECT.orderBy || []).map(c => {
+      const column = c.ref?.length === 1 && SELECT.columns?.find(x => x !== '*' && this.column_name(x) === c.ref[0])
+      return column ? { ...column, as: undefined, sort: c.sort } : c
+    })
+    for (const name in target.keys) {
+      const key = target.keys[name]
+      if (key.virtual || key.isAssociation || key.elements) continue
+      if (!orderBy.some(c => c.ref?.length === 2 && c.ref[0] === from.as && c.ref[1] === name))
+        orderBy.push({ ref: [from.as, name], element: key })
+    }
+    if (!orderBy.length) cds.error`Keyset pagination requires an order or keys of ${target.name}`
+
+    Object.assign(SELECT, {
+      columns: [
+        ...(SELECT.columns || ['*']),
+        ...orderBy.map((c, i) => ({ ...c, element: undefined, sort: undefined, as: `$$after${i}$$` })),
+      ],
+      orderBy,
+      limit: { rows: typeof rows === 'number' ? { val: rows } : rows, offset },
+    })
+    this.after = orderBy.length
+    if (after === null) return
+
+    const values = typeof after === 'string' ? decodeAfter(after) : orderBy.map(c => after[this.column_name(c)])
+    if (values?.length !== orderBy.length)
+      cds.error({ status: 400, code: 'INVALID_CONTINUATION_TOKEN', message: `Invalid continuation token ${after}` })
+    values.forEach((v, i) => {
+      if (v === undefined)
+        cds.error({ status: 400, message: `Missing value for ${this.column_name(orderBy[i])} in SELECT.limit.after` })
+    })
+
+    // NULLs are sorted first ascending and last descending on all databases
+    const operands = orderBy.map(c => this.after_operand(c, SELECT.localized))
+    const equals = i => (values[i] === null ? [operands[i], 'is', 'null'] : [operands[i], '=', { val: values[i] }])
+    const or = []
+    orderBy.forEach((c, i) => {
+      const desc = c.sort?.toLowerCase() === 'desc' || c.sort === -1
+      if (desc && values[i] === null) return // nothing is sorted after NULLs descending
+      const and = []
+      for (let j = 0; j < i; j++) and.push(...equals(j), 'and')
+      if (values[i] === null) and.push(operands[i], 'is not', 'null')
+      else if (desc) and.push({ xpr: [operands[i], '<', { val: values[i] }, 'or', operands[i], 'is', 'null'] })
+      else and.push(operands[i], '>', { val: values[i] })
+      or.push(...(or.length ? ['or'] : []), { xpr: and })
+    })
+    const predicate = { xpr: or.length ? or : [{ val: 1, param: false }, '=', { val: 0, param: false }] }
+    SELECT.where = SELECT.where?.length ? [{ xpr: SELECT.where }, 'and', predicate] : [predicate]
+  }
+
+  /**
+   * Renders a sort column as operand of a keyset predicate, which has to compare
+   * values the same way as the ORDER BY clause, i.e. with the same collation
+   * @param {import('./infer/cqn').ordering_term} c
+   * @param {boolean} localized
+   * @returns {import('./infer/cqn').xpr}
+   */
+  after_operand(c, localized) {
+    const n = this.values?.length
+    const collate = / COLLATE .*(?= (?:ASC|DESC))/.exec(this.orderBy([c], localized)[0])
+    if (this.values) this.values.length = n // orderBy is only rendered for its collation
+    return collate ? { xpr: [c, collate[0].trim()] } : c
+  }
+
+  /**
+   * Renders a window function counting all rows matched by the root query, regardless
+   * of its limit, when `SELECT.count` is requested. Queries for which the window would
+   * count differently, like grouped or distinct ones, are left to a separate count query.
+   * Subclasses which can't read the `_count_` column along with the rows return nothing
+   * here, so that the count is always read by {@link SQLService#count} instead.
+   * @param {import('./infer/cqn').SELECT} q
+   * @returns {string|undefined} SQL
+   */
+  SELECT_count(q) {
+    if (q !== this.cqn || this.after) return
+    const { count, one, distinct, groupBy, having, forUpdate, forShareLock } = q.SELECT
+    if (!count || one || distinct || groupBy?.length || having?.length || forUpdate || forShareLock) return
+    return (this.count = `count(*) OVER () as _count_`)
+  }
+
   /**
    * Renders a JSON select around the provided SQL statement
    * @param {import('./infer/cqn').SELECT} param0
@@ -309,14 +439,14 @@ class CQN2SQLRenderer {
         return col
       }).flat()
 
-    if (isSimple) return `SELECT ${cols} FROM (${sql})`
+    if (isSimple) return `SELECT ${cols}${this.count ? ',_count_' : ''} FROM (${sql})`
 
     // Prevent SQLite from hitting function argument limit of 100
     let obj = "'{}'"
     for (let i = 0; i < cols.length; i += 48) {
       obj = `jsonb_insert(${obj},${cols.slice(i, i + 48)})`
     }
-    return `SELECT ${isRoot || SELECT.one ? obj.replace('jsonb', 'json') : `jsonb_group_array(${obj})`} as _json_ FROM (${sql})`
+    return `SELECT ${isRoot || SELECT.one ? obj.replace('jsonb', 'json') : `jsonb_group_array(${obj})`} as _json_${isRoot && this.count ? ',_count_' : ''} FROM (${sql})`
   }
 
   /**
@@ -348,6 +478,7 @@ class CQN2SQLRenderer {
    * @returns {string} SQL
    */
   from(from, q) {
+    if (from.recurse) return this.from_recurse(from, q)
     const { ref, as } = from
     const _aliased = as ? s => s + ` as ${this.quote(as)}` : s => s
     if (ref) {
@@ -363,9 +494,38 @@ class CQN2SQLRenderer {
       return _aliased(this.quote(this.name(z)))
     }
     if (from.SELECT) return _aliased(`(${this.SELECT(from)})`)
+    if (from.SET) return _aliased(`(${this.SET(from)})`)
     if (from.join) return `${this.from(from.args[0])} ${from.join} JOIN ${this.from(from.args[1])}${from.on ? ` ON ${this.where(from.on)}` : ''}`
   }
 
+  /**
+   * Renders the hierarchy of a query with `SELECT.recurse` as a recursive sub select, which
+   * has all columns of the entity, as well as `$level`, `$path` and `$drillState`.
+   * Nodes reachable on several paths are only returned once, for the shortest path.
+   * @param {import('./infer/cqn').source} param0 - the source, as transformed by cqn4sql
+   * @returns {string} SQL
+   */
+  from_recurse({ ref, as, recurse }, q) {
+    const { where, depth, direction } = recurse
+    const table = this.from({ ref, as }, q)
+    const [t, h, c, n, p, level, path] = [as, '$h', '$c', recurse.node, recurse.parent, '$level', '$path'].map(x => this.quote(x))
+    const string = this.type4({ type: 'cds.String' })
+    // Descendants are joined by their parents, ancestors by their children
+    const join = direction === 'ancestors' ? `${t}.${n} = ${h}.${p}` : `${t}.${p} = ${h}.${n}`
+    const nodes =
+      `SELECT ${t}.*,1 AS ${level},CAST(${t}.${n} AS ${string}) AS ${path} FROM ${table} WHERE ${this.where(where)}` +
+      ` UNION ALL SELECT ${t}.*,${h}.${level} + 1,CAST(${h}.${path} || '/' || ${t}.${n} AS ${string}) FROM ${table} JOIN ${h} ON ${join}` +
+      ` WHERE NOT ${this.class.Functions.contains(`'/' || ${h}.${path} || '/'`, `'/' || ${t}.${n} || '/'`)}${depth ? ` AND ${h}.${level} < ${depth}` : ''}`
+    const drillState =
+      `CASE WHEN EXISTS (SELECT 1 FROM ${h} AS ${c} WHERE ${c}.${p} = ${h}.${n}) THEN 'expanded'` +
+      ` WHEN EXISTS (SELECT 1 FROM ${this.from({ ref, as: '$c' }, q)} WHERE ${c}.${p} = ${h}.${n}) THEN 'collapsed'` +
+      ` ELSE 'leaf' END AS ${this.quote('$drillState')}`
+    const shortest =
+      `NOT EXISTS (SELECT 1 FROM ${h} AS ${c} WHERE ${c}.${n} = ${h}.${n}` +
+      ` AND (${c}.${level} < ${h}.${level} OR ${c}.${level} = ${h}.${level} AND ${c}.${path} < ${h}.${path}))`
+    return `(WITH RECURSIVE ${h} AS (${nodes}) SELECT ${h}.*,${drillState} FROM ${h} WHERE ${shortest}) as ${t}`
+  }
+
   /**
    * Renders a FROM clause for when the query does not have a target
    * @returns {string} SQL
@@ -716,6 +876,63 @@ class CQN2SQLRenderer {
 
   static localized = { String: { get() { return this['@cds.collate'] !== false } }, UUID: false }
 
+  // RETURNING Clauses -----------------------------------------------
+
+  /**
+   * Renders a RETURNING clause for INSERT, UPSERT, UPDATE and DELETE queries into generic SQL.
+   * The affected rows are returned as JSON objects in column `_json_`, with the same output
+   * conversions as for SELECT queries.
+   * @param {import('./infer/cqn').Query} q
+   * @returns {string} SQL
+   */
+  returning(q) {
+    const columns = this.returning_columns(q)
+    if (!columns) return (this.sql += ' RETURNING *')
+    const cols = columns.map(({ name, column, element }) => {
+      const escaped = `${name.replace(/"/g, '""')}`
+      return `'$."${escaped}"',${this.output_converter4(element, this.quote(column))}`
+    })
+    // Prevent SQLite from hitting function argument limit of 100
+    let obj = "'{}'"
+    for (let i = 0; i < cols.length; i += 48) {
+      obj = `json_insert(${obj},${cols.slice(i, i + 48)})`
+    }
+    return (this.sql += ` RETURNING ${obj} as _json_`)
+  }
+
+  /**
+   * Resolves the columns of a RETURNING clause to the columns of the database table,
+   * following the projections of views written to.
+   * @param {import('./infer/cqn').Query} q
+   * @returns {{ name: string, column: string, element?: import('./infer/cqn').element }[] | undefined}
+   * the returned columns, or undefined for `*` on targets which are not in the model
+   */
+  returning_columns(q) {
+    const kind = q.kind || Object.keys(q)[0]
+    const { returning, _transitions } = q[kind]
+    const source = _transitions?.[0].queryTarget || q.target
+    const mapping = _transitions?.[0].mapping
+    const names = []
+    for (const col of returning) {
+      if (col === '*') {
+        if (!source?.elements) return
+        for (const name in source.elements) {
+          const e = source.elements[name]
+          if (!e.virtual && !e.value && !e.isAssociation && !e.elements) names.push(name)
+        }
+      } else {
+        const name = col.ref?.at(-1) ?? col
+        if (source?.elements && !(name in source.elements))
+          cds.error`Cannot return "${name}", which is not an element of ${source.name}`
+        names.push(name)
+      }
+    }
+    return names.map(name => {
+      const column = mapping?.get(name)?.ref?.[0] ?? name
+      return { name, column, element: q.target?.elements?.[column] }
+    })
+  }
+
   // UPSERT Statements ------------------------------------------------
 
   /**
@@ -755,15 +972,8 @@ class CQN2SQLRenderer {
     const entity = this.name(q.target?.name || UPSERT.into.ref[0])
     sql = `SELECT ${managed.map(c => c.upsert)} FROM (SELECT value, ${extractkeys} from json_each(?)) as NEW LEFT JOIN ${this.quote(entity)} AS OLD ON ${keyCompare}`
 
-    const updateColumns = columns.filter(c => {
-      if (keys.includes(c)) return false //> keys go into ON CONFLICT clause
-      let e = elements[c]
-      if (!e) return true //> pass through to native SQL columns not in CDS model
-      if (e.virtual) return true //> skip virtual elements
-      if (e.value) return true //> skip calculated elements
-      // if (e.isAssociation) return true //> this breaks a a test in @sap/cds -> need to follow up how to correctly handle deep upserts
-      else return true
-    }).map(c => `${this.quote(c)} = excluded.${this.quote(c)}`)
+    // Keys go into the ON CONFLICT clause, while compositions are handled by deep upserts
+    const updateColumns = columns.filter(c => !keys.includes(c)).map(c => `${this.quote(c)} = excluded.${this.quote(c)}`)
 
     return (this.sql = `INSERT INTO ${this.quote(entity)} (${columns.map(c => this.quote(c))}) ${sql
       } WHERE TRUE ON CONFLICT(${keys.map(c => this.quote(c))}) DO ${updateColumns.length ? `UPDATE SET ${updateColumns}` : 'NOTHING'}`)
@@ -835,6 +1045,7 @@ class CQN2SQLRenderer {
     if ('xpr' in x) return wrap(this.xpr(x))
     if ('list' in x) return wrap(this.list(x))
     if ('SELECT' in x) return wrap(`(${this.SELECT(x)})`)
+    if ('SET' in x) return wrap(`(${this.SET(x)})`)
     else throw cds.error`Unsupported expr: ${x}`
   }
 
@@ -924,7 +1135,9 @@ class CQN2SQLRenderer {
   ref({ ref }) {
     switch (ref[0]) {
       case '$now': return this.func({ func: 'session_context', args: [{ val: '$now', param: false }] }) // REVISIT: why do we need param: false here?
-      case '$user': return this.func({ func: 'session_context', args: [{ val: '$user.' + ref[1] || 'id', param: false }] }) // REVISIT: same here?
+      case '$user': return this.func({ func: 'session_context', args: [{ val: '$user.' + (ref[1] || 'id'), param: false }] }) // REVISIT: same here?
+      case '$tenant': return this.func({ func: 'session_context', args: [{ val: '$tenant', param: false }] })
+      case '$session': return this.func({ func: 'session_context', args: [{ val: ref.join('.'), param: false }] })
       default: return ref.map(r => this.quote(r)).join('.')
     }
   }
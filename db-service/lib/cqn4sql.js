@@ -45,6 +45,8 @@ const { pseudos } = require('./infer/pseudos')
  * @returns {object} transformedQuery the transformed query
  */
 function cqn4sql(originalQuery, model) {
+  if (originalQuery.SET) return transformSetQuery(originalQuery, model)
+  if (originalQuery.SELECT?.recurse) return transformRecursiveQuery(originalQuery, model)
   let inferred = typeof originalQuery === 'string' ? cds.parse.cql(originalQuery) : cds.ql.clone(originalQuery)
   const hasCustomJoins =
     originalQuery.SELECT?.from.args && (!originalQuery.joinTree || originalQuery.joinTree.isInitial)
@@ -1512,6 +1514,8 @@ function cqn4sql(originalQuery, model) {
             }
           } else if (token.SELECT) {
             result = transformSubquery(token)
+          } else if (token.SET) {
+            result = transformSetQuery(token, model)
           } else {
             if (token.xpr) {
               result.xpr = getTransformedTokenStream(token.xpr, $baseLink)
@@ -1657,6 +1661,10 @@ function cqn4sql(originalQuery, model) {
         }
       })
       return { transformedFrom, transformedWhere: existingWhere }
+    } else if (from.SET) {
+      transformedFrom = transformSetQuery(from, model)
+      transformedFrom.as = from.as || Object.keys(inferred.sources)[0]
+      return { transformedFrom, transformedWhere: existingWhere }
     } else if (from.SELECT) {
       transformedFrom = transformSubquery(from)
       if (from.as) {
@@ -2316,6 +2324,101 @@ function cqn4sql(originalQuery, model) {
   }
 }
 
+/**
+ * Transforms a `UNION`, `INTERSECT` or `EXCEPT` query by applying `cqn4sql` to each of its branches.
+ * The `orderBy` and `limit` of the combined result only refer to its columns, hence are kept as is.
+ *
+ * @param {object} q - the query with a `SET` property
+ * @param {object} model
+ * @returns {object} the transformed query
+ */
+function transformSetQuery(q, model) {
+  const { target, elements } = infer(q, model)
+  const transformed = { SET: { ...q.SET, args: q.SET.args.map(arg => cqn4sql(arg, model)) } }
+  if (q.as) transformed.as = q.as
+  return Object.defineProperties(transformed, {
+    target: { value: target, writable: true, configurable: true },
+    elements: { value: elements, writable: true, configurable: true },
+  })
+}
+
+/**
+ * The columns of a hierarchy, which can be selected and ordered by in queries with `SELECT.recurse`:
+ *  - `$level` is the distance from the start nodes, which are on level 1
+ *  - `$path` are the keys of all nodes from the start node to the node, separated by `/`
+ *  - `$drillState` is `expanded` if children of the node are in the result, `collapsed` if
+ *    they aren't, and `leaf` if the node has no children at all
+ */
+const hierarchyColumns = ['$level', '$path', '$drillState']
+
+/**
+ * Transforms a hierarchy query, which selects the descendants or ancestors of start nodes along
+ * a self-association like `parent`:
+ *
+ * @example
+ * SELECT.from(Genres).columns('ID', 'name', '$level') with
+ * SELECT.recurse = { ref: ['parent'], where: [{ ref: ['ID'] }, '=', { val: 10 }], depth: 2 }
+ *
+ * The start nodes default to the roots of the hierarchy for descendants. The query itself is
+ * transformed as a query of the entity, while its `from` carries the normalized hierarchy, i.e.
+ * the key and foreign key columns and the transformed start condition, for the database
+ * specific renderers to select the hierarchy from.
+ *
+ * @param {object} q - the query with a `SELECT.recurse` property
+ * @param {object} model
+ * @returns {object} the transformed query
+ */
+function transformRecursiveQuery(q, model) {
+  const { recurse, columns = ['*'] } = q.SELECT
+  const { ref, where, depth, direction = 'descendants' } = recurse
+  if (direction !== 'descendants' && direction !== 'ancestors')
+    throw new Error(`Hierarchy direction must be "descendants" or "ancestors", but is "${direction}"`)
+  if (depth !== undefined && !(Number.isInteger(depth) && depth > 0))
+    throw new Error(`Hierarchy depth must be a positive integer, but is "${depth}"`)
+
+  // Hierarchy columns are selected as placeholders, which are replaced after the transformation
+  const isHierarchyColumn = c => c.ref?.length === 1 && hierarchyColumns.includes(c.ref[0])
+  const placeholders = columns.filter(isHierarchyColumn).map(c => ({ name: c.ref[0], as: c.as || c.ref[0] }))
+  if (columns.includes('*'))
+    for (const name of hierarchyColumns)
+      if (!placeholders.some(p => p.name === name)) placeholders.push({ name, as: name })
+  const transformed = cqn4sql(
+    cds.ql.clone(q, {
+      recurse: undefined,
+      columns: [...columns.filter(c => !isHierarchyColumn(c)), ...placeholders.map(p => ({ val: null, as: p.as }))],
+    }),
+    model,
+  )
+
+  const { target: entity } = transformed
+  const { from } = transformed.SELECT
+  if (!from.ref || from.ref.length !== 1) throw new Error('Hierarchies can only be selected from entities')
+  const assoc = ref?.length === 1 && entity.elements[ref[0]]
+  if (!assoc?.isAssociation || assoc.is2many || assoc._target !== entity || assoc.keys?.length !== 1)
+    throw new Error(
+      `Hierarchies require a managed to-one association of "${entity.name}" to itself with a single key, but got "${ref?.join('.')}"`,
+    )
+  const [key] = assoc.keys
+  const node = key.ref.join('_')
+  const parent = key.$generatedFieldName || `${assoc.name}_${node}`
+
+  // The start nodes are transformed with the same table alias as the hierarchy
+  let start
+  if (where) {
+    const startQuery = cqn4sql({ SELECT: { from: { ref: [entity.name], as: from.as }, where } }, model)
+    if (startQuery.SELECT.from.join) throw new Error('Path expressions are not supported for the start of hierarchies')
+    start = startQuery.SELECT.where
+  } else if (direction === 'descendants') start = [{ ref: [from.as, parent] }, 'is', 'null']
+  else throw new Error('The start of hierarchies is required for ancestors')
+
+  transformed.SELECT.from = { ...from, recurse: { node, parent, where: start, depth, direction } }
+  transformed.SELECT.columns = transformed.SELECT.columns.map(c => {
+    const placeholder = c.val === null && placeholders.find(p => p.as === c.as)
+    return placeholder ? { ref: [from.as, placeholder.name], as: placeholder.as } : c
+  })
+  return transformed
+}
+
 function calculateElementName(token) {
   const nonJoinRelevantAssoc = [...token.$refLinks].findIndex(l => l.definition.isAssociation && l.onlyForeignKeyAccess)
   let name
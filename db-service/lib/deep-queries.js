@@ -27,6 +27,9 @@ const handledDeep = Symbol('handledDeep')
  */
 
 /**
+ * Splits deep INSERTs, UPSERTs and UPDATEs into flat queries per entity.
+ * Deep UPSERTs keep to-many children omitted in the payload, unless the query
+ * is flagged with `.replace()`, in which case they are deleted as for deep UPDATEs.
  * @param {import('@sap/cds/apis/services').Request} req
  * @param {nextCallback} next
  * @returns {Promise<number>}
@@ -52,20 +55,26 @@ async function onDeep(req, next) {
   // - updates can trigger and prevent unique constraints -> execute second
   // - inserts can only trigger unique constraints -> execute last
   await Promise.all(Array.from(queries.deletes.values()).map(query => this.onSIMPLE({ query })))
-  await Promise.all(queries.updates.map(query => this.onUPDATE({ query })))
+  const updated = await Promise.all(queries.updates.map(query => this.onUPDATE({ query })))
 
   const rootQuery = queries.inserts.get(ROOT)
   queries.inserts.delete(ROOT)
+  if (rootQuery && query.INSERT?.returning) rootQuery.INSERT.returning = query.INSERT.returning
   const [rootResult] = await Promise.all([
     rootQuery && this.onINSERT({ query: rootQuery }),
     ...Array.from(queries.inserts.values()).map(query => this.onINSERT({ query })),
   ])
 
+  // Deep updates and upserts are split into several statements, so the written root rows are read afterwards
+  if (query.UPDATE?.returning) return this._rows4(target, beforeData, query.UPDATE.returning)
+  if (query.UPSERT?.returning) return this._rows4(target, query.UPSERT.entries, query.UPSERT.returning)
+  // Upserted root rows are either inserted or updated, unless unchanged
+  if (query.UPSERT) return queries.updates.reduce((n, q, i) => (q[ROOT] ? n + updated[i] : n), rootResult?.affectedRows ?? 0)
   return rootResult ?? beforeData.length
 }
 
 const hasDeep = (q, target) => {
-  const data = q.INSERT?.entries || (q.UPDATE?.data && [q.UPDATE.data]) || (q.UPDATE?.with && [q.UPDATE.with])
+  const data = q.INSERT?.entries || q.UPSERT?.entries || (q.UPDATE?.data && [q.UPDATE.data]) || (q.UPDATE?.with && [q.UPDATE.with])
   if (data)
     for (const c in target.compositions) {
       for (const row of data) if (row[c] !== undefined) return true
@@ -170,6 +179,18 @@ const _calculateExpandColumns = (target, data, expandColumns = [], elementMap =
  * @param {import('@sap/cds/apis/csn').Definition} target
  */
 const getExpandForDeep = (query, target) => {
+  if (query.UPSERT) {
+    // read the existing aggregates of all upserted entries by their keys
+    const { into, entries } = query.UPSERT
+    const keys = cds.utils
+      .Object_keys(target.keys)
+      .filter(key => !target.keys[key].virtual && !target.keys[key].isAssociation)
+    const columns = getColumnsFromDataOrKeys(entries, target)
+    for (const entry of entries) _calculateExpandColumns(target, entry, columns)
+    const left = { list: keys.map(k => ({ ref: [k] })) }
+    const right = { list: entries.map(entry => ({ list: keys.map(k => ({ val: entry[k] })) })) }
+    return SELECT(columns).from(into).where([left, 'in', right])
+  }
   const { entity, data = null, where } = query.UPDATE
   const columns = _calculateExpandColumns(target, data)
   return SELECT(columns).from(entity).where(where)
@@ -192,15 +213,41 @@ const getDeepQueries = (query, dbData, target) => {
   if (query.UPDATE) {
     queryData = [query.UPDATE.data]
   }
+  if (query.UPSERT) {
+    queryData = query.UPSERT.entries
+  }
 
   let diff = compareJson(queryData, dbData, target)
   if (!Array.isArray(diff)) {
     diff = [diff]
   }
+  // UPSERTs merge to-many children, unless asked to replace them like a deep UPDATE does
+  if (query.UPSERT && !query.UPSERT.replace) _keepOmitted(diff, target)
 
   return _getDeepQueries(diff, target)
 }
 
+/**
+ * Removes the deletes of to-many children, which are omitted in the payload, from the diff
+ * @param {unknown[]} diff
+ * @param {import('@sap/cds/apis/csn').Definition} target
+ */
+const _keepOmitted = (diff, target) => {
+  for (const diffEntry of diff) {
+    if (!diffEntry) continue
+    for (const prop in target.compositions) {
+      const composition = target.compositions[prop], propData = diffEntry[prop]
+      if (!propData) continue
+      if (composition.is2many) {
+        diffEntry[prop] = propData.filter(child => child._op !== 'delete')
+        _keepOmitted(diffEntry[prop], composition._target)
+      } else {
+        _keepOmitted([propData], composition._target)
+      }
+    }
+  }
+}
+
 const _hasManagedElements = target => {
   return Object.keys(target.elements).filter(elementName => target.elements[elementName]['@cds.on.update']).length > 0
 }
@@ -288,6 +335,7 @@ const _getDeepQueries = (diff, target, deletes = new Map(), inserts = new Map(),
         delete diffEntry[key]
       }
       cqn.with(diffEntry)
+      if (root) Object.defineProperty(cqn, ROOT, { value: true })
       updates.push(cqn)
     }
   }
@@ -12,8 +12,9 @@ export type UPDATE = cqn.UPDATE & linkedQuery
 export type DELETE = cqn.DELETE & linkedQuery
 export type CREATE = cqn.CREATE & linkedQuery
 export type DROP = cqn.DROP & linkedQuery
+export type SET = cqn.SET & linkedQuery
 
-export type Query = SELECT | INSERT | UPSERT | UPDATE | DELETE | CREATE | DROP
+export type Query = SELECT | INSERT | UPSERT | UPDATE | DELETE | CREATE | DROP | SET
 
 export type element = csn.Element & {
   key?: boolean
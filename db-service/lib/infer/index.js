@@ -29,7 +29,7 @@ function infer(originalQuery, model) {
 
   // REVISIT: The more edge use cases we support, thes less optimized are we for the 90+% use cases
   // e.g. there's a lot of overhead for infer( SELECT.from(Books) )
-  if (originalQuery.SET) throw new Error('”UNION” based queries are not supported')
+  if (originalQuery.SET) return inferSet(originalQuery, model)
   const _ =
     inferred.SELECT ||
     inferred.INSERT ||
@@ -136,7 +136,8 @@ function infer(originalQuery, model) {
       const definition = getDefinition(from) || cds.error`"${from}" not found in the definitions of your model`
       querySources[/([^.]*)$/.exec(from)[0]] = { definition }
     } else if (from.SET) {
-      infer(from, model)
+      infer(from, model) // we need the .elements in the sources
+      querySources[from.as || '__set__'] = { definition: from }
     }
     return querySources
   }
@@ -523,7 +524,7 @@ function infer(originalQuery, model) {
           arg.$refLinks.push($refLink)
         } else if (firstStepIsSelf) {
           stepNotFoundInColumnList(id)
-        } else if (arg.ref[0] === '$user' && pseudoPath) {
+        } else if ((arg.ref[0] === '$user' || arg.ref[0] === '$session') && pseudoPath) {
           // `$user.some.unknown.element` -> no error
           arg.$refLinks.push({ definition: {}, target })
         } else if (id === '$dummy') {
@@ -1098,7 +1099,7 @@ function infer(originalQuery, model) {
         firstStepIsEntity = true
         if (arg.$refLinks.length === 1) return `${cur.definition.name}`
         return `${cur.definition.name}`
-      } else if (cur.definition.SELECT) {
+      } else if (cur.definition.SELECT || cur.definition.SET) {
         return `${cur.definition.as}`
       }
       const dot = i === 1 && firstStepIsEntity ? ':' : '.' // divide with colon if first step is entity
@@ -1107,6 +1108,26 @@ function infer(originalQuery, model) {
   }
 }
 
+/**
+ * Infers a `UNION`, `INTERSECT` or `EXCEPT` query by inferring each of its branches.
+ * As in SQL, the elements of the combined result are the ones of the first branch.
+ *
+ * @param {object} q - the query with a `SET` property
+ * @param {import('@sap/cds/apis/csn').CSN} model
+ * @returns {object} q with .target and .elements
+ */
+function inferSet(q, model) {
+  const { op, args } = q.SET
+  if (!['union', 'intersect', 'except'].includes(op)) throw new Error(`Unsupported set operation “${op}”`)
+  if (!args?.length) throw new Error(`“${op}” requires at least one query`)
+  const [first] = args.map(arg => infer(arg, model))
+  Object.defineProperties(q, {
+    target: { value: first.target, writable: true, configurable: true },
+    elements: { value: first.elements, writable: true, configurable: true },
+  })
+  return q
+}
+
 /**
  * Determines if a given association is a non-foreign key navigation.
  *
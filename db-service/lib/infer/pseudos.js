@@ -17,6 +17,7 @@ const pseudos = {
     $to: { type: 'cds.Timestamp' },
     $locale: { type: 'cds.String' },
     $tenant: { type: 'cds.String' },
+    $session: { elements: {} }, // app-defined variables from cds.context.session
   },
 }
 
@@ -0,0 +1,150 @@
+const cds = require('@sap/cds')
+
+const INTEGERS = {
+  'cds.UInt8': [0, 255],
+  'cds.Int16': [-32768, 32767],
+  'cds.Int32': [-2147483648, 2147483647],
+  'cds.Integer': [-2147483648, 2147483647],
+  'cds.Int64': [-(2n ** 63n), 2n ** 63n - 1n],
+  'cds.Integer64': [-(2n ** 63n), 2n ** 63n - 1n],
+}
+
+const BOOLEANS = ['true', 'false', '1', '0']
+const DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/
+const TIME = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/
+const NUMERIC = /^[+-]?(\d+)(?:\.(\d+))?$/
+
+/**
+ * Checks a single value against the type of its element, returning a
+ * description of the violation, if any. Values which aren't plain literals,
+ * like expressions or streams, are left to the database, while strings are
+ * accepted for numbers and booleans, as in initial data from .csv files.
+ */
+const _violation4 = (element, value) => {
+  if (value === null) return element.notNull && !element.key && { code: 'ASSERT_NOT_NULL', message: 'must not be null' }
+  if (typeof value === 'object' && !(value instanceof Date)) return
+  const type = element._type
+  if (type in INTEGERS) {
+    const [min, max] = INTEGERS[type]
+    if (!Number.isInteger(value) && typeof value !== 'bigint' && !/^[+-]?\d+$/.test(value))
+      return { code: 'ASSERT_DATA_TYPE', message: `is not a valid ${type}` }
+    const int = BigInt(value)
+    if (int < min || int > max)
+      return { code: 'ASSERT_RANGE', message: `is out of range for ${type}` }
+  }
+  else if (type === 'cds.Decimal') {
+    const match = typeof value === 'number' ? Number.isFinite(value) && NUMERIC.exec(String(value)) : NUMERIC.exec(value)
+    if (!match) {
+      // Numbers in exponential notation are outside of any sensible precision anyways
+      if (typeof value === 'number' && Number.isFinite(value)) return
+      return { code: 'ASSERT_DATA_TYPE', message: `is not a valid ${type}` }
+    }
+    const { precision, scale = 0 } = element
+    if (!precision || scale === 'floating' || scale === 'variable') return
+    const integers = match[1].replace(/^0+/, '').length, decimals = (match[2] || '').replace(/0+$/, '').length
+    if (integers > precision - scale || decimals > scale)
+      return { code: 'ASSERT_RANGE', message: `exceeds precision ${precision} and scale ${scale}` }
+  }
+  else if (type === 'cds.Double') {
+    if (typeof value === 'number' ? !Number.isFinite(value) : !NUMERIC.test(value))
+      return { code: 'ASSERT_DATA_TYPE', message: `is not a valid ${type}` }
+  }
+  else if (type === 'cds.Boolean') {
+    // The databases convert these strings, with 'null' becoming null
+    if (value === 'null') return _violation4(element, null)
+    if (typeof value !== 'boolean' && !BOOLEANS.includes(value)) return { code: 'ASSERT_DATA_TYPE', message: `is not a valid ${type}` }
+  }
+  else if (type === 'cds.String' || type === 'cds.LargeString' || type === 'cds.UUID') {
+    if (typeof value !== 'string') return { code: 'ASSERT_DATA_TYPE', message: `is not a valid ${type}` }
+    if (element.length && value.length > element.length)
+      return { code: 'ASSERT_MAX_LENGTH', message: `exceeds maximum length of ${element.length}` }
+  }
+  else if (type === 'cds.Date' || type === 'cds.DateTime' || type === 'cds.Timestamp') {
+    if (value instanceof Date) return isNaN(value) && { code: 'ASSERT_DATA_TYPE', message: `is not a valid ${type}` }
+    const match = typeof value === 'string' && DATETIME.exec(value)
+    const [, y, m, d] = match || []
+    if (!match || isNaN(Date.parse(value)) || new Date(Date.UTC(y, m - 1, d)).getUTCDate() !== +d)
+      return { code: 'ASSERT_DATA_TYPE', message: `is not a valid ${type}` }
+  }
+  else if (type === 'cds.Time') {
+    const match = typeof value === 'string' && TIME.exec(value)
+    const [, h, m, s = 0] = match || []
+    if (!match || h > 23 || m > 59 || s > 59) return { code: 'ASSERT_DATA_TYPE', message: `is not a valid ${type}` }
+  }
+  else return // Binaries, Vectors, and the like are not checked
+  if (element.enum) {
+    const values = Object.entries(element.enum).map(([name, e]) => ('val' in e ? e.val : name))
+    if (!values.includes(value)) return { code: 'ASSERT_ENUM', message: `must be one of ${values.join(', ')}` }
+  }
+}
+
+/**
+ * Reports all values of the given entry which don't match the types of their
+ * elements, recursing into structs and deep compositions. Errors are collected
+ * with `req.error`, and report the paths relative to the request's target.
+ */
+const _assert = (req, entity, entry, prefix = '') => {
+  const { elements } = entity
+  for (const name in entry) {
+    const element = elements[name], value = entry[name]
+    if (!element || value === undefined || element.virtual) continue
+    const path = prefix + name
+    if (element.isComposition) {
+      if (Array.isArray(value)) value.forEach((e, i) => e && _assert(req, element._target, e, `${path}[${i}].`))
+      else if (value && typeof value === 'object') _assert(req, element._target, value, `${path}.`)
+    } else if (element.isAssociation) {
+      continue // foreign keys are checked through their own elements
+    } else if (element.elements && value && typeof value === 'object') {
+      _assert(req, element, value, `${path}.`)
+    } else {
+      const violation = _violation4(element, value)
+      if (violation) req.error({
+        code: violation.code,
+        message: `STRICT MODE: Value of ${path} in ${req.target.name} ${violation.message}`,
+        target: path,
+        entity: req.target.name,
+        element: path,
+      })
+    }
+  }
+}
+
+/**
+ * Handler for INSERT, UPSERT and UPDATE in strict mode, i.e. with
+ * `cds.env.features.db_strict`, which rejects non-existent columns, as well
+ * as values which don't match their elements' types, lengths, precisions,
+ * enums or not null constraints, before any SQL is rendered.
+ * @param {import('@sap/cds/apis/services').Request} req
+ */
+module.exports = function strict_mode(req) {
+  const { query } = req
+  const elements = query.target?.elements
+  if (!elements) return
+  const kind = query.kind || Object.keys(query)[0]
+  const operation = query[kind]
+  if (!operation.columns && !operation.entries && !operation.data && !operation.with) return
+  const columns =
+    operation.columns ||
+    Object.keys(
+      operation.data ||
+      operation.entries?.reduce((acc, obj) => {
+        return Object.assign(acc, obj)
+      }, {}) ||
+      {},
+    )
+  // UPDATE.with has expressions, of which only plain values can be checked
+  const _with = operation.with && Object.fromEntries(Object.entries(operation.with).filter(([, x]) => x && 'val' in x).map(([c, x]) => [c, x.val]))
+  if (operation.with) columns.push(...Object.keys(operation.with))
+  const invalidColumns = columns.filter(c => !(c in elements))
+
+  if (invalidColumns.length > 0) {
+    cds.error(`STRICT MODE: Trying to ${kind} non existent columns (${invalidColumns})`)
+  }
+
+  if (_with) _assert(req, query.target, _with)
+  const entries = operation.columns
+    ? (operation.rows || [operation.values]).map(row => Object.fromEntries(operation.columns.map((c, i) => [c, row?.[i]])))
+    : operation.entries || [operation.data]
+  if (!Array.isArray(entries)) return // e.g. streamed entries
+  for (const entry of entries) if (entry && typeof entry === 'object') _assert(req, query.target, entry)
+}
@@ -38,9 +38,57 @@ function isCalculatedElement(def) {
   return def?.value
 }
 
+/**
+ * Determines the backlink of a composition, i.e. the managed association in the
+ * composition's target which is compared to `$self` in its on-condition, like
+ * `order` in `items.order = $self` or `up_` for compositions of aspects.
+ *
+ * @param {Object} composition - The composition element.
+ * @returns {Object|undefined} - The backlink association, if any.
+ */
+function backlinkOf(composition) {
+  const { on, _target } = composition
+  if (on?.length !== 3 || on[1] !== '=') return
+  const [lhs, , rhs] = on
+  const isSelf = side => side.ref?.length === 1 && side.ref[0] === '$self'
+  const link = isSelf(rhs) ? lhs : isSelf(lhs) ? rhs : undefined
+  if (link?.ref?.length !== 2 || link.ref[0] !== composition.name) return
+  const backlink = _target?.elements[link.ref[1]]
+  if (backlink?.isAssociation && backlink.keys && backlink.target === composition.parent.name) return backlink
+}
+
+/**
+ * Encodes the sort values of the last row of a page into an opaque
+ * continuation token for keyset pagination, i.e. `SELECT.limit({ rows, after })`.
+ *
+ * @param {Array} values - The values of the sort columns, including the keys.
+ * @returns {string} - The continuation token.
+ */
+function encodeAfter(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url')
+}
+
+/**
+ * Decodes a continuation token created by {@link encodeAfter}.
+ *
+ * @param {string} token - The continuation token.
+ * @returns {Array|undefined} - The sort values, or undefined if the token is invalid.
+ */
+function decodeAfter(token) {
+  try {
+    const values = JSON.parse(Buffer.from(token, 'base64url').toString())
+    if (Array.isArray(values)) return values
+  } catch {
+    return
+  }
+}
+
 // export the function to be used in other modules
 module.exports = {
   prettyPrintRef,
   isCalculatedOnRead,
-  isCalculatedElement
+  isCalculatedElement,
+  backlinkOf,
+  encodeAfter,
+  decodeAfter,
 }
@@ -347,12 +347,6 @@ describe('negative', () => {
   })
 
   describe('restrictions', () => {
-    it('UNION queries are not supported', () => {
-      expect(() => _inferred(CQL`SELECT from bookshop.Books union all select from bookshop.Authors`)).to.throw(
-        /”UNION” based queries are not supported/,
-      )
-    })
-
     it('selecting from structures is not supported', () => {
       expect(() => _inferred(CQL`SELECT from bookshop.Books:dedication.addressee.address`, model)).to.throw(
         /Query source must be a an entity or an association/,
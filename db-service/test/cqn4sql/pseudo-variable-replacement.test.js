@@ -33,7 +33,8 @@ describe('Pseudo Variables', () => {
       $to,
       $from,
       $locale,
-      $tenant
+      $tenant,
+      $session.channel
     }`,
       model,
     )
@@ -51,7 +52,8 @@ describe('Pseudo Variables', () => {
       $to,
       $from,
       $locale,
-      $tenant
+      $tenant,
+      $session.channel
     }`)
   })
 
@@ -0,0 +1,60 @@
+'use strict'
+
+const cqn4sql = require('../../lib/cqn4sql')
+const cds = require('@sap/cds')
+const { expect } = cds.test
+describe('set operations', () => {
+  let model
+  beforeAll(async () => {
+    model = cds.model = await cds.load(__dirname + '/../bookshop/db/schema').then(cds.linked)
+  })
+
+  it('takes the elements of the first query', () => {
+    let query = cqn4sql(
+      CQL`SELECT from bookshop.Books { ID, title } union SELECT from bookshop.Authors { ID, name }`,
+      model,
+    )
+    expect(Object.keys(query.elements)).to.eql(['ID', 'title'])
+    expect(query.target).to.equal(model.definitions['bookshop.Books'])
+  })
+
+  it('transforms each query and keeps order by and limit of the combined result', () => {
+    let query = cqn4sql(
+      CQL`SELECT from bookshop.Books { ID, author.name as name }
+          union all
+          SELECT from bookshop.Authors { ID, name } where exists books
+          order by name limit 3`,
+      model,
+    )
+    expect(query).to.deep.equal(
+      CQL`SELECT from bookshop.Books as Books left join bookshop.Authors as author on author.ID = Books.author_ID
+          { Books.ID, author.name as name }
+          union all
+          SELECT from bookshop.Authors as Authors { Authors.ID, Authors.name }
+            where exists (
+              SELECT 1 from bookshop.Books as books where books.author_ID = Authors.ID
+            )
+          order by name limit 3`,
+    )
+  })
+
+  it('selects from a union with an artificial alias', () => {
+    let query = cqn4sql(
+      CQL`SELECT from (SELECT from bookshop.Books { ID, title } intersect SELECT from bookshop.Authors { ID, name }) { title }`,
+      model,
+    )
+    expect(query).to.deep.equal(
+      CQL`SELECT from (
+            SELECT from bookshop.Books as Books { Books.ID, Books.title }
+            intersect
+            SELECT from bookshop.Authors as Authors { Authors.ID, Authors.name }
+          ) as __set__ { __set__.title }`,
+    )
+  })
+
+  it('rejects unknown set operations', () => {
+    expect(() => cqn4sql({ SET: { op: 'minus', args: [CQL`SELECT from bookshop.Books`] } }, model)).to.throw(
+      /Unsupported set operation “minus”/,
+    )
+  })
+})
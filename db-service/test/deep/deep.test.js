@@ -877,4 +877,96 @@ describe('test deep query generation', () => {
       ])
     })
   })
+
+  describe('UPSERT', () => {
+    const dbData = [
+      { ID: 1, toManyChild: [{ ID: 1, text: 'one' }, { ID: 2, text: 'two' }] },
+    ]
+
+    test('builds expand for the keys of all entries', () => {
+      const query = UPSERT.into(model.definitions.Root).entries([
+        { ID: 1, toManyChild: [{ ID: 1 }] },
+        { ID: 2 },
+      ])
+      const expected = SELECT.from(model.definitions.Root)
+        .columns(c => {
+          c.ID, c.toManyChild(c => c.ID)
+        })
+        .where([{ list: [{ ref: ['ID'] }] }, 'in', { list: [{ list: [{ val: 1 }] }, { list: [{ val: 2 }] }] }])
+      expect(JSON.parse(JSON.stringify(getExpandForDeep(query, model.definitions.Root)))).to.eql(
+        JSON.parse(JSON.stringify(expected)),
+      )
+    })
+
+    test('merges to-many children by default', () => {
+      const query = UPSERT.into(model.definitions.Root).entries([
+        { ID: 1, toManyChild: [{ ID: 2, text: 'zwei' }, { ID: 3, text: 'three' }] },
+        { ID: 2, toOneChild: { ID: 4 } },
+      ])
+      const { inserts, updates, deletes } = getDeepQueries(query, dbData, model.definitions.Root)
+
+      expect(Array.from(inserts.values())).to.deep.eql([
+        INSERT.into(model.definitions.Child).entries([{ ID: 3, text: 'three' }, { ID: 4 }]),
+        INSERT.into(model.definitions.Root).entries([{ ID: 2 }]),
+      ])
+      expect(updates).to.deep.eql([UPDATE(model.definitions.Child).with({ ID: 2, text: 'zwei' }).where({ ID: 2 })])
+      expect(deletes.size).to.eq(0)
+    })
+
+    test('replaces to-many children on request', () => {
+      const query = UPSERT.into(model.definitions.Root).entries([{ ID: 1, toManyChild: [{ ID: 2, text: 'two' }] }]).replace()
+      const { inserts, updates, deletes } = getDeepQueries(query, dbData, model.definitions.Root)
+
+      expect(inserts.size).to.eq(0)
+      expect(updates.length).to.eq(0)
+      expect(Array.from(deletes.values())).to.deep.eql([
+        DELETE.from(model.definitions.Child).where([
+          { list: [{ ref: ['ID'] }] },
+          'in',
+          { list: [{ list: [{ val: 1 }] }] },
+        ]),
+      ])
+    })
+
+    test('only UPSERTs replace omitted children', () => {
+      expect(() => INSERT.into(model.definitions.Root).entries({ ID: 1 }).replace()).to.throw(/Only UPSERT/)
+    })
+
+    test('upserts aggregate snapshots idempotently', async () => {
+      const entity = model.definitions['keyAssocs.Header']
+      const snapshot = () => ({
+        uniqueName: 'PR2',
+        realm: 'dummy',
+        l1s: [{ ID: 'l1-a', number: 1, l2s: [{ ID: 'l2-a', percentage: 50 }] }, { ID: 'l1-b', number: 2 }],
+      })
+      const read = () =>
+        cds.db.run(
+          SELECT.one
+            .from(entity, h => {
+              h.uniqueName, h.l1s(l1 => {
+                l1.ID, l1.number, l1.l2s(l2 => { l2.ID, l2.percentage })
+              })
+            })
+            .where({ uniqueName: 'PR2', realm: 'dummy' }),
+        )
+
+      expect(await cds.db.run(UPSERT.into(entity).entries(snapshot()))).to.eq(1)
+      const created = await read()
+      await cds.db.run(UPSERT.into(entity).entries(snapshot()))
+      expect(await read()).to.eql(created)
+      expect(created.l1s).to.containSubset([{ ID: 'l1-a', l2s: [{ ID: 'l2-a' }] }, { ID: 'l1-b', l2s: [] }])
+
+      const changed = snapshot()
+      changed.l1s = [{ ID: 'l1-a', number: 3 }]
+      await cds.db.run(UPSERT.into(entity).entries(changed))
+      const merged = await read()
+      expect(merged.l1s.map(l1 => [l1.ID, l1.number]).sort()).to.eql([['l1-a', 3], ['l1-b', 2]])
+      expect(merged.l1s.find(l1 => l1.ID === 'l1-a').l2s.length).to.eq(1)
+
+      await cds.db.run(UPSERT.into(entity).entries(changed).replace())
+      const replaced = await read()
+      expect(replaced.l1s).to.containSubset([{ ID: 'l1-a', number: 3, l2s: [{ ID: 'l2-a' }] }])
+      expect(replaced.l1s.length).to.eq(1)
+    })
+  })
 })
@@ -14,6 +14,7 @@ const hanaKeywords = keywords.reduce((prev, curr) => {
 }, {})
 
 const DEBUG = cds.debug('sql|db')
+const CONSTRAINTS = { 301: 'unique', 287: 'not_null', 461: 'foreign_key', 462: 'foreign_key', 677: 'check' }
 let HANAVERSION = 0
 
 /**
@@ -27,10 +28,10 @@ class HANAService extends SQLService {
       super.deploy = this.hdiDeploy
     }
 
-    this.on(['BEGIN'], this.onBEGIN)
     this.on(['COMMIT'], this.onCOMMIT)
     this.on(['ROLLBACK'], this.onROLLBACK)
     this.on(['SELECT', 'INSERT', 'UPSERT', 'UPDATE', 'DELETE'], this.onNOTFOUND)
+    this.on(['INSERT', 'UPSERT', 'UPDATE', 'DELETE'], this.onRETURNING)
     return super.init()
   }
 
@@ -134,13 +135,18 @@ class HANAService extends SQLService {
       query.SELECT.expand = 'root'
     }
 
-    const { cqn, sql, temporary, blobs, withclause, values } = this.cqn2sql(query, data)
+    const { cqn, sql, temporary, blobs, withclause, values, after } = this.cqn2sql(query, data)
     delete query.SELECT.expand
 
     const isSimple = temporary.length + blobs.length + withclause.length === 0
 
     // REVISIT: add prepare options when param:true is used
     const sqlScript = isLockQuery || isSimple ? sql : this.wrapTemporary(temporary, withclause, blobs)
+    if (query._iterate && !isLockQuery) {
+      const ps = await this.prepare(sqlScript, blobs.length)
+      const rows = blobs.length ? await ps.all(values || []) : ps.iterate(values || [])
+      return this._iterateRows(rows, isSimple, after)
+    }
     let rows
     if (values?.length || blobs.length > 0) {
       const ps = await this.prepare(sqlScript, blobs.length)
@@ -160,6 +166,7 @@ class HANAService extends SQLService {
     if (rows.length && !isSimple) {
       rows = this.parseRows(rows)
     }
+    if (after) this._after(rows, after, cqn.SELECT.limit)
     if (cqn.SELECT.count) {
       // REVISIT: the runtime always expects that the count is preserved with .map, required for renaming in mocks
       return HANAService._arrayWithCount(rows, await this.count(query, rows))
@@ -168,28 +175,39 @@ class HANAService extends SQLService {
   }
 
   async onINSERT({ query, data }) {
-    try {
-      const { sql, entries, cqn } = this.cqn2sql(query, data)
-      if (!sql) return // Do nothing when there is nothing to be done
-      const ps = await this.prepare(sql)
-      // HANA driver supports batch execution
-      const results = await (entries
-        ? HANAVERSION <= 2
-          ? entries.reduce((l, c) => l.then(() => this.ensureDBC() && ps.run(c)), Promise.resolve(0))
-          : entries.length > 1 ? this.ensureDBC() && await ps.runBatch(entries) : this.ensureDBC() && await ps.run(entries[0])
-        : this.ensureDBC() && ps.run())
-      return new this.class.InsertResults(cqn, results)
-    } catch (err) {
-      throw _not_unique(err, 'ENTITY_ALREADY_EXISTS')
-    }
+    const { sql, entries, cqn } = this.cqn2sql(query, data)
+    if (!sql) return // Do nothing when there is nothing to be done
+    const ps = await this.prepare(sql)
+    // HANA driver supports batch execution
+    const results = await (entries
+      ? HANAVERSION <= 2
+        ? entries.reduce((l, c) => l.then(() => this.ensureDBC() && ps.run(c)), Promise.resolve(0))
+        : entries.length > 1 ? this.ensureDBC() && await ps.runBatch(entries) : this.ensureDBC() && await ps.run(entries[0])
+      : this.ensureDBC() && ps.run())
+    return new this.class.InsertResults(cqn, results)
   }
 
-  async onUPDATE(req) {
-    try {
-      return await super.onUPDATE(req)
-    } catch (err) {
-      throw _not_unique(err, 'UNIQUE_CONSTRAINT_VIOLATION') || err
-    }
+  async cancel() {
+    await this.dbc?.cancel()
+  }
+
+  get dbSystem() {
+    return 'hanadb'
+  }
+
+  // e.g. 301: unique constraint violated: Table(SAP_CAPIRE_BOOKSHOP_BOOKS), Index(...)
+  constraint4(err) {
+    const kind = CONSTRAINTS[err.code]
+    if (!kind) return
+    const table = /Table\((?:"?\w+"?\.)?"?(\w+)"?\)/.exec(err.message)?.[1]
+    // e.g. 287: cannot insert NULL or update to NULL: Not nullable "TITLE" column
+    const column = kind === 'not_null' && /"(\w+)" column/.exec(err.message)?.[1]
+    return { kind, table, columns: column ? [column] : [] }
+  }
+
+  // 133: transaction rolled back by detected deadlock, 138: transaction serialization failure
+  isRetryable(err) {
+    return err.code === 133 || err.code === 138
   }
 
   async onNOTFOUND(req, next) {
@@ -221,6 +239,23 @@ class HANAService extends SQLService {
     return ret
   }
 
+  // Yields each root row as soon as all rows of its expands have been read
+  async *_iterateRows(rows, isSimple, after) {
+    if (isSimple) {
+      for await (const row of rows) yield this._stripped(row, after)
+      return
+    }
+    let group = []
+    for await (const row of rows) {
+      if (group.length && row._path_.indexOf(group[0]._path_) !== 0) {
+        for (const each of this.parseRows(group)) yield this._stripped(each, after)
+        group = []
+      }
+      group.push(row)
+    }
+    if (group.length) for (const each of this.parseRows(group)) yield this._stripped(each, after)
+  }
+
   // Structure flat rows into expands and include raw blobs as raw buffers
   parseRows(rows) {
     const ret = []
@@ -281,9 +316,20 @@ class HANAService extends SQLService {
 
   // prepare and exec are both implemented inside the drivers
   prepare(sql, hasBlobs) {
-    const stmt = this.ensureDBC().prepare(sql, hasBlobs)
-    // we store the statements, to release them on commit/rollback all at once
-    this.dbc.statements.push(stmt)
+    const dbc = this.ensureDBC()
+    const cache = this.statements4(dbc, _drop)
+    const key = hasBlobs ? `${sql} -- blobs` : sql
+    let stmt = cache?.get(key)
+    if (stmt) return stmt
+    stmt = dbc.prepare(sql, hasBlobs)
+    if (cache) {
+      // cached statements are kept across transactions until evicted
+      cache.set(key, stmt)
+      stmt.then(stmt => stmt._prep).catch(() => cache.delete(key))
+    } else {
+      // we store the statements, to release them on commit/rollback all at once
+      dbc.statements.push(stmt)
+    }
     return stmt
   }
 
@@ -291,6 +337,62 @@ class HANAService extends SQLService {
     return this.ensureDBC().exec(sql)
   }
 
+  // Explains the SQL script actually run by onSELECT, which wraps expands into a temporary union
+  async onEXPLAIN(req) {
+    const { query, data } = req.data
+    if (!query.SELECT || query.SELECT.forUpdate || query.SELECT.forShareLock) return super.onEXPLAIN(req)
+    if (!query.target) {
+      try { this.infer(query) } catch { /**/ }
+    }
+    if (!query.target || query.target._unresolved) return super.onEXPLAIN(req)
+    query.SELECT.expand = 'root'
+    try {
+      const { sql, temporary, blobs, withclause, values } = this.cqn2sql(query, data)
+      const isSimple = temporary.length + blobs.length + withclause.length === 0
+      const sqlScript = isSimple ? sql : this.wrapTemporary(temporary, withclause, blobs)
+      return { sql: sqlScript, steps: await this.explain4(sqlScript, values) }
+    } finally {
+      delete query.SELECT.expand
+    }
+  }
+
+  // EXPLAIN PLAN writes into the shared EXPLAIN_PLAN_TABLE, hence the unique statement name
+  async explain4(sql) {
+    const name = `cds_${cds.utils.uuid()}`
+    await this.exec(`EXPLAIN PLAN SET STATEMENT_NAME = '${name}' FOR ${sql}`)
+    try {
+      const rows = await this.exec(
+        `SELECT OPERATOR_NAME, OPERATOR_DETAILS, TABLE_NAME, OUTPUT_SIZE, LEVEL FROM EXPLAIN_PLAN_TABLE WHERE STATEMENT_NAME = '${name}' ORDER BY OPERATOR_ID`,
+      )
+      return rows.map(row => ({
+        depth: row.LEVEL - 1,
+        operation: row.OPERATOR_NAME,
+        table: row.TABLE_NAME ?? undefined,
+        rows: row.OUTPUT_SIZE,
+        detail: row.OPERATOR_DETAILS,
+      }))
+    } finally {
+      await this.exec(`DELETE FROM EXPLAIN_PLAN_TABLE WHERE STATEMENT_NAME = '${name}'`)
+    }
+  }
+
+  // HANA has no recursive common table expressions, so the descendants are computed with a hierarchy
+  // function, which requires a single column to identify each node, while the keys are kept as they are
+  async descendants4(arity, roots, edges) {
+    const root = this.cqn2sql(roots)
+    const edge = edges.map(e => this.cqn2sql(e))
+    const keys = Array.from({ length: arity }, (_, i) => i)
+    const node = (t, k) => [t, ...keys.map(i => `${k}${i}`)].map(x => `TO_NVARCHAR(${x})`).join(` || '|' || `)
+    const sql = `SELECT DISTINCT t,${keys.map(i => `k${i}`)} FROM HIERARCHY(SOURCE (SELECT ${node('t', 'k')} AS node_id, NULL AS parent_id, t,${keys.map(
+      i => `k${i}`,
+    )} FROM (${root.sql}) UNION ALL SELECT ${node('ct', 'c')} AS node_id, ${node('pt', 'p')} AS parent_id, ct AS t,${keys.map(
+      i => `c${i} AS k${i}`,
+    )} FROM (${edge.map(e => e.sql).join(' UNION ALL ')})) START WHERE parent_id IS NULL ORPHAN IGNORE CYCLE BREAKUP) WHERE HIERARCHY_LEVEL > 1`
+    const ps = await this.prepare(sql)
+    const rows = await ps.all([...root.values, ...edge.flatMap(e => e.values)])
+    return rows.map(row => Object.values(row))
+  }
+
   /**
    * HDI specific deploy logic
    * @param {import('@sap/cds/apis/csn').CSN} model The CSN model to be deployed
@@ -321,6 +423,9 @@ class HANAService extends SQLService {
       return super._init()
     }
 
+    // HANA has no RETURNING clause, which is emulated with SELECTs in onRETURNING instead
+    returning() { }
+
     SELECT(q) {
       // Collect all queries and blob columns of all queries
       this.blobs = this.blobs || []
@@ -331,6 +436,7 @@ class HANAService extends SQLService {
       if (q.SELECT.from?.join && !q.SELECT.columns) {
         throw new Error('CQN query using joins must specify the selected columns.')
       }
+      if (q.SELECT.limit?.after !== undefined) this.SELECT_after(q)
 
       let { limit, one, orderBy, expand, columns = ['*'], localized, count, parent } = q.SELECT
       
@@ -472,6 +578,12 @@ class HANAService extends SQLService {
       return this.sql
     }
 
+    // The rows of HANA are read from the wrapped expand script, which doesn't pass
+    // along any window count, so the total count is always read with a separate query
+    SELECT_count() {
+      return
+    }
+
     SELECT_columns(q) {
       const { SELECT, src } = q
       if (!SELECT.columns) return '*'
@@ -787,7 +899,7 @@ SELECT ${mixing} FROM JSON_TABLE(SRC.JSON, '$' COLUMNS(${extraction})) AS NEW LE
         localized
           ? c =>
             this.expr(c) +
-            (c.element?.[this.class._localized]
+            (c.element?.[this.class._localized] && !c.binary
               ? ` COLLATE ${collations[this.context.locale] || collations[this.context.locale.split('_')[0]] || collations['']
               }`
               : '') +
@@ -796,6 +908,41 @@ SELECT ${mixing} FROM JSON_TABLE(SRC.JSON, '$' COLUMNS(${extraction})) AS NEW LE
       )
     }
 
+    // HANA has no recursive common table expressions, but generates hierarchies with functions.
+    // The ranks of the generated hierarchy are in pre-order, so the path of a node consists of all
+    // nodes between the start and the node, which contain the deeper one of both in their subtree.
+    from_recurse({ ref, as, recurse }, q) {
+      const { where, depth, direction } = recurse
+      const table = this.from({ ref, as }, q)
+      const [t, h, a, n, p] = [as, '$h', '$a', recurse.node, recurse.parent].map(x => this.quote(x))
+      const ids = [[n, 'NODE_ID'], [p, 'PARENT_ID']].filter(([x, id]) => x.toUpperCase() !== id).map(([x, id]) => `,${t}.${x} AS ${id}`)
+      const source = `HIERARCHY(SOURCE (SELECT ${t}.*${ids.join('')} FROM ${table}) ORPHAN IGNORE CYCLE BREAKUP)`
+      const start = `START WHERE NODE_ID IN (SELECT ${t}.${n} FROM ${table} WHERE ${this.where(where)})`
+      const distance = 'ABS(HIERARCHY_DISTANCE)'
+      // Descendants are expanded unless cut off by the depth, and ancestors unless they are start nodes
+      const expanded = direction === 'ancestors' ? `${distance} > 0` : depth ? `${distance} < ${depth - 1}` : '1 = 1'
+      const drillState = `CASE WHEN HIERARCHY_TREE_SIZE = 1 THEN 'leaf' WHEN ${expanded} THEN 'expanded' ELSE 'collapsed' END`
+      const [upper, deeper, order] = direction === 'ancestors' ? ['HIERARCHY_RANK', 'START_RANK', 'DESC'] : ['START_RANK', 'HIERARCHY_RANK', 'ASC']
+      const path =
+        `(SELECT STRING_AGG(TO_NVARCHAR(${a}.NODE_ID), '/' ORDER BY ${a}.HIERARCHY_RANK ${order}) FROM ${source} AS ${a}` +
+        ` WHERE ${a}.HIERARCHY_RANK BETWEEN ${h}.${upper} AND ${h}.${deeper} AND ${h}.${deeper} < ${a}.HIERARCHY_RANK + ${a}.HIERARCHY_TREE_SIZE)`
+      const hierarchy = `HIERARCHY_${direction.toUpperCase()}(SOURCE ${source} ${start})`
+      return `(SELECT ${h}.*,${distance} + 1 AS ${this.quote('$level')},${path} AS ${this.quote('$path')},${drillState} AS ${this.quote(
+        '$drillState',
+      )} FROM ${hierarchy} AS ${h}${depth ? ` WHERE ${distance} < ${depth}` : ''}) as ${t}`
+    }
+
+    // HANA only supports collations in ORDER BY clauses, so pages are sorted binary as compared by the
+    // keyset predicate, while other columns are still sorted and read localized
+    SELECT_after(q) {
+      super.SELECT_after(q)
+      q.SELECT.orderBy = q.SELECT.orderBy.map(c => ({ __proto__: c, binary: true }))
+    }
+
+    after_operand(c) {
+      return c
+    }
+
     limit({ rows, offset }) {
       rows = { param: false, __proto__: rows }
       return super.limit({ rows, offset })
@@ -1191,28 +1338,37 @@ SELECT ${mixing} FROM JSON_TABLE(SRC.JSON, '$' COLUMNS(${extraction})) AS NEW LE
     return super.onPlainSQL(req, next)
   }
 
-  onBEGIN() {
+  async onBEGIN({ data }) {
     DEBUG?.('BEGIN')
-    if (this.dbc) this.dbc.statements = []
-    return this.dbc?.begin()
+    if (!this.dbc) return
+    this.dbc.statements = []
+    await this.dbc.begin()
+    const sql = this.setTransaction4(data)
+    if (sql.length) this.dbc.setTransaction = true
+    for (const each of sql) await this.exec(each)
   }
 
-  onCOMMIT() {
+  async onCOMMIT() {
     DEBUG?.('COMMIT')
-    this.dbc?.statements?.forEach(stmt => stmt
-      .then(stmt => stmt.drop())
-      .catch(() => { })
-    )
-    return this.dbc?.commit()
+    this.dbc?.statements?.forEach(_drop)
+    await this.dbc?.commit()
+    await this._resetTransaction()
   }
 
-  onROLLBACK() {
+  async onROLLBACK() {
     DEBUG?.('ROLLBACK')
-    this.dbc?.statements?.forEach(stmt => stmt
-      .then(stmt => stmt.drop())
-      .catch(() => { })
-    )
-    return this.dbc?.rollback()
+    this.dbc?.statements?.forEach(_drop)
+    await this.dbc?.rollback()
+    await this._resetTransaction()
+  }
+
+  // SET TRANSACTION applies to the whole session on HANA, so it has to be
+  // reverted before the connection is released to the pool
+  async _resetTransaction() {
+    if (!this.dbc?.setTransaction) return
+    delete this.dbc.setTransaction
+    await this.exec('SET TRANSACTION ISOLATION LEVEL READ COMMITTED')
+    await this.exec('SET TRANSACTION READ WRITE')
   }
 
   // Creates a new database using HDI container groups
@@ -1327,15 +1483,7 @@ SELECT ${mixing} FROM JSON_TABLE(SRC.JSON, '$' COLUMNS(${extraction})) AS NEW LE
 const createContainerDatabase = fs.readFileSync(path.resolve(__dirname, 'scripts/container-database.sql'), 'utf-8')
 const createContainerTenant = fs.readFileSync(path.resolve(__dirname, 'scripts/container-tenant.sql'), 'utf-8')
 
-function _not_unique(err, code) {
-  if (err.code === 301)
-    return Object.assign(err, {
-      originalMessage: err.message, // FIXME: required because of next line
-      message: code, // FIXME: misusing message as code
-      code: 400, // FIXME: misusing code as (http) status
-    })
-  return err
-}
+const _drop = stmt => stmt.then(stmt => stmt.drop()).catch(() => { })
 
 const is_regexp = x => x?.constructor?.name === 'RegExp' // NOTE: x instanceof RegExp doesn't work in repl
 const ObjectKeys = o => (o && [...ObjectKeys(o.__proto__), ...Object.keys(o)]) || []
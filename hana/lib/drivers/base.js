@@ -116,6 +116,11 @@ class HANADriver {
     return prom(this._native, 'rollback')()
   }
 
+  /**
+   * Cancels the currently running statement, if supported by the driver
+   */
+  async cancel() {}
+
   /**
    * Connects the driver using the provided credentials
    * @returns {Promise<any>}
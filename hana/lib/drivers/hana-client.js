@@ -130,6 +130,17 @@ class HANAClientDriver extends driver {
       return { changes }
     }
 
+    ret.iterate = async function* (values) {
+      const stmt = await ret._prep
+      const rs = await prom(stmt, 'executeQuery')(values || [])
+      const next = prom(rs, 'next')
+      try {
+        while (await next()) yield rs.getValues()
+      } finally {
+        await prom(rs, 'close')()
+      }
+    }
+
     ret.proc = async (data, outParameters) => {
       const stmt = await ret._prep
       const rows = await prom(stmt, 'execQuery')(data)
@@ -170,6 +181,10 @@ class HANAClientDriver extends driver {
     return this._native.state() === 'connected'
   }
 
+  async cancel() {
+    return prom(this._native, 'abort')()
+  }
+
   _getResultForProcedure(rows, outParameters, stmt) {
     const result = {}
     // build result from scalar params
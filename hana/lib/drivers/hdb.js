@@ -107,6 +107,12 @@ class HDBDriver extends driver {
       }
     }
 
+    ret.iterate = async function* (values) {
+      const stmt = await ret._prep
+      const rs = await prom(stmt, 'execute')(values || [])
+      yield* rs.createObjectStream()
+    }
+
     ret.proc = async (data, outParameters) => {
       const rows = await ret.all(data)
       return this._getResultForProcedure(rows, outParameters)
@@ -4,6 +4,10 @@ const cds = require('@sap/cds')
 const crypto = require('crypto')
 const { Writable, Readable } = require('stream')
 const sessionVariableMap = require('./session.json')
+const CURSOR_CHUNK = 1000
+const LOG = cds.log('postgres')
+const _identifiers = /^[A-Za-z_][A-Za-z_0-9$]*(\.[A-Za-z_][A-Za-z_0-9$]*)+$/
+const CONSTRAINTS = { 23505: 'unique', 23502: 'not_null', 23503: 'foreign_key', 23514: 'check' }
 
 class PostgresService extends SQLService {
   init() {
@@ -14,6 +18,7 @@ class PostgresService extends SQLService {
     }
     this.kind = 'postgres'
     this._queryCache = {}
+    this._cursors = 0
     return super.init(...arguments)
   }
 
@@ -69,7 +74,10 @@ class PostgresService extends SQLService {
 
     // Check all properties on the variables object
     for (let name in variables) {
-      env[sessionVariableMap[name] || name] = variables[name]
+      const key = sessionVariableMap[name] || name.replace(/^\$/, 'cap.')
+      // Skip variables not usable as parameter names, e.g. user attributes like $user.cost-center
+      if (_identifiers.test(key)) env[key] = variables[name]
+      else LOG.debug(`Skipping session variable ${name}, which is not a valid parameter name`)
     }
 
     // Explicitly check for the default session variable properties
@@ -78,6 +86,9 @@ class PostgresService extends SQLService {
       if (variables[name]) env[sessionVariableMap[name]] = variables[name]
     }
 
+    // Lets the server enforce timeouts as well, also resetting ones of previous sessions
+    env.statement_timeout = `${this.context?.timeout || this.options.statementTimeout || 0}`
+
     return Promise.all([
       (await this.prepare(`SELECT set_config(key::text,$1->>key,false) FROM jsonb_each($1);`)).run([
         JSON.stringify(env),
@@ -139,6 +150,7 @@ GROUP BY k
     // Track queries name for postgres referencing prepare statements
     // sha1 as it needs to be less then 63 character
     const sha = crypto.createHash('sha1').update(sql).digest('hex')
+    const srv = this
     const query = this._queryCache[sha] = this._queryCache[sha] || {
       _streams: 0,
       text: sql,
@@ -171,12 +183,33 @@ GROUP BY k
       all: async values => {
         // REVISIT: SQLService provides empty values as {} for plain SQL statements - PostgreSQL driver expects array or nothing - see issue #78
         try {
-          const result = await this.dbc.query({ ...query, values: this._getValues(values) })
+          // Writes with a RETURNING clause might stream their entries, like with run
+          let newQuery = this._prepareStreams(query, values)
+          if (typeof newQuery.then === 'function') newQuery = await newQuery
+          const result = await this.dbc.query(newQuery)
           return result.rows
         } catch (e) {
           throw enhanceError(e, sql)
         }
       },
+      // Fetches the rows in chunks through a server-side cursor, which lives until the end of the transaction
+      iterate: async function* (values) {
+        const cursor = `"$$CURSOR_${++srv._cursors}$$"`
+        try {
+          await srv.dbc.query({ text: `DECLARE ${cursor} NO SCROLL CURSOR FOR ${sql}`, values: srv._getValues(values) })
+        } catch (e) {
+          throw enhanceError(e, sql)
+        }
+        try {
+          let rows
+          do {
+            rows = (await srv.dbc.query(`FETCH ${CURSOR_CHUNK} FROM ${cursor}`)).rows
+            yield* rows
+          } while (rows.length === CURSOR_CHUNK)
+        } finally {
+          await srv.dbc?.query(`CLOSE ${cursor}`).catch(() => {})
+        }
+      },
       stream: async (values, one) => {
         try {
           const streamQuery = new QueryStream({ ...query, values: this._getValues(values) }, one)
@@ -325,22 +358,67 @@ GROUP BY k
     return super.onSELECT({ query, data })
   }
 
-  async onINSERT(req) {
+  // The own connection is busy with the running statement, so we cancel from another one
+  async cancel() {
+    const pid = this.dbc?.processID
+    if (!pid) return
+    const factory = this._replica ? this.pools._replica : this.pools._factory
+    const dbc = await factory.create(this._tenant)
     try {
-      return await super.onINSERT(req)
-    } catch (err) {
-      throw _not_unique(err, 'ENTITY_ALREADY_EXISTS')
+      await dbc.query('SELECT pg_cancel_backend($1)', [pid])
+    } finally {
+      await factory.destroy(dbc)
     }
   }
 
-  async onUPDATE(req) {
-    try {
-      return await super.onUPDATE(req)
-    } catch (err) {
-      throw _not_unique(err, 'UNIQUE_CONSTRAINT_VIOLATION')
+  get dbSystem() {
+    return 'postgresql'
+  }
+
+  // Class 23 of the SQLSTATEs, which tells the columns only for some, and the constraint for all
+  constraint4(err) {
+    const kind = CONSTRAINTS[err.code]
+    if (!kind) return
+    // e.g. Key (id, title)=(1, x) already exists.
+    const [, columns] = /^Key \((.*?)\)=/.exec(err.detail) || []
+    return {
+      kind,
+      table: err.table,
+      columns: columns?.split(', ') || (err.column ? [err.column] : []),
+      constraint: err.constraint,
     }
   }
 
+  // query_canceled, raised for both, statement_timeout and pg_cancel_backend
+  isCancelled(err) {
+    return err.code === '57014'
+  }
+
+  // serialization_failure and deadlock_detected
+  isRetryable(err) {
+    return err.code === '40001' || err.code === '40P01'
+  }
+
+  async explain4(sql, values) {
+    const ps = await this.prepare(`EXPLAIN (FORMAT JSON) ${sql}`)
+    const [{ 'QUERY PLAN': [{ Plan }] }] = await ps.all(values)
+    const steps = []
+    const walk = (node, depth) => {
+      const { Plans = [], ...detail } = node
+      steps.push({
+        depth,
+        operation: node['Node Type'],
+        table: node.Alias ?? node['Relation Name'],
+        index: node['Index Name'],
+        rows: node['Plan Rows'],
+        detail,
+      })
+      for (const each of Plans) walk(each, depth + 1)
+    }
+    walk(Plan, 0)
+    return steps
+  }
+
   static CQN2SQL = class CQN2Postgres extends SQLService.CQN2SQL {
     _orderBy(orderBy, localized, locale) {
       return orderBy.map(
@@ -373,6 +451,7 @@ GROUP BY k
       }
       // REVISIT: postgres always needs an alias for sub selects
       if (from.SELECT && !from.as) from.as = from.SELECT.as || 'unknown'
+      if (from.SET && !from.as) from.as = 'unknown'
       return super.from(from)
     }
 
@@ -406,13 +485,26 @@ GROUP BY k
           q.elements[e].items // Array types require to be inlined with a json result
         )
 
-      const subQuery = `SELECT ${cols} FROM (${sql}) as ${queryAlias}`
+      const count = isRoot && this.count ? ',_count_' : ''
+      const subQuery = `SELECT ${cols}${count} FROM (${sql}) as ${queryAlias}`
       if (isSimple) return subQuery
 
       // REVISIT: Remove SELECT ${cols} by adjusting SELECT_columns
-      let obj = `to_jsonb(${queryAlias}.*)`
+      let obj = count ? `to_jsonb(${queryAlias}.*) - '_count_'` : `to_jsonb(${queryAlias}.*)`
       return `SELECT ${SELECT.one || isRoot ? obj : `coalesce(jsonb_agg (${obj}),'[]'::jsonb)`
-        } as _json_ FROM (${subQuery}) as ${queryAlias}`
+        } as _json_${count} FROM (${subQuery}) as ${queryAlias}`
+    }
+
+    returning(q) {
+      const columns = this.returning_columns(q)
+      if (!columns) return (this.sql += ' RETURNING *')
+      const cols = columns.map(({ name, column, element }) =>
+        `'${name.replace(/'/g, "''")}',${this.output_converter4(element, this.quote(column))}`,
+      )
+      // Prevent hitting the function argument limit of 100
+      const objs = []
+      for (let i = 0; i < cols.length; i += 48) objs.push(`jsonb_build_object(${cols.slice(i, i + 48)})`)
+      return (this.sql += ` RETURNING ${objs.join(' || ')} as _json_`)
     }
 
     doubleQuote(name) {
@@ -867,14 +959,4 @@ class ParameterStream extends Writable {
   }
 }
 
-function _not_unique(err, code) {
-  if (err.code === '23505')
-    return Object.assign(err, {
-      originalMessage: err.message, // FIXME: required because of next line
-      message: code, // FIXME: misusing message as code
-      code: 400, // FIXME: misusing code as (http) status
-    })
-  return err
-}
-
 module.exports = PostgresService
@@ -2,7 +2,8 @@ const session = require('./session.json')
 
 const StandardFunctions = {
   session_context: x => {
-    let sql = `current_setting('${session[x.val] || x.val}')`
+    // Custom variables like $user.country are set as cap.user.country, and might be missing
+    let sql = x.val in session ? `current_setting('${session[x.val]}')` : `current_setting('${x.val.replace(/^\$/, 'cap.')}', true)`
     if (x.val === '$now') sql += '::timestamp'
     return sql
   },
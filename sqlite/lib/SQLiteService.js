@@ -2,6 +2,7 @@ const { SQLService } = require('@cap-js/db-service')
 const cds = require('@sap/cds')
 const sqlite = require('better-sqlite3')
 const $session = Symbol('dbc.session')
+const $iterating = Symbol('dbc.iterating')
 const convStrm = require('stream/consumers')
 const { Readable } = require('stream')
 
@@ -21,6 +22,13 @@ const toDate = (d, allowTime = false) => {
   return date
 }
 
+const CONSTRAINTS = {
+  SQLITE_CONSTRAINT_PRIMARYKEY: 'unique',
+  SQLITE_CONSTRAINT_UNIQUE: 'unique',
+  SQLITE_CONSTRAINT_NOTNULL: 'not_null',
+  SQLITE_CONSTRAINT_FOREIGNKEY: 'foreign_key',
+  SQLITE_CONSTRAINT_CHECK: 'check',
+}
 
 class SQLiteService extends SQLService {
 
@@ -61,18 +69,29 @@ class SQLiteService extends SQLService {
     else Object.assign(dbc[$session], variables)
   }
 
-  release() {
+  release(savepoint) {
+    if (typeof savepoint === 'string') return super.release(savepoint)
+    if (this.context?.readOnly && this.dbc.open) this.dbc.pragma('query_only = OFF')
     this.dbc[$session] = undefined
     return super.release()
   }
 
   prepare(sql) {
     try {
-      const stmt = this.dbc.prepare(sql)
+      const cache = this.statements4(this.dbc)
+      let stmt = cache?.get(sql)
+      // Statements still iterating rows, e.g. in db.foreach(), cannot be reused meanwhile
+      if (!stmt || stmt.busy) {
+        stmt = this.dbc.prepare(sql)
+        cache?.set(sql, stmt)
+      }
       return {
         run: (..._) => this._run(stmt, ..._),
         get: (..._) => stmt.get(..._),
-        all: (..._) => stmt.all(..._),
+        // Writes with a RETURNING clause need the same parameter conversions as run
+        all: (..._) => (stmt.readonly ? stmt.all(..._) : this._run(stmt, _[0], 'all')),
+        // Note: the connection can only run reads, but no writes, until all rows are read
+        iterate: (..._) => this._iterating(stmt.iterate(..._)),
         stream: (..._) => this._stream(stmt, ..._),
       }
     } catch (e) {
@@ -81,7 +100,7 @@ class SQLiteService extends SQLService {
     }
   }
 
-  async _run(stmt, binding_params) {
+  async _run(stmt, binding_params = [], method = 'run') {
     for (let i = 0; i < binding_params.length; i++) {
       const val = binding_params[i]
       if (val instanceof Readable) {
@@ -91,7 +110,7 @@ class SQLiteService extends SQLService {
         binding_params[i] = Buffer.from(val.toString('base64'))
       }
     }
-    return stmt.run(binding_params)
+    return stmt[method](binding_params)
   }
 
   async *_iterator(rs, one) {
@@ -122,6 +141,64 @@ class SQLiteService extends SQLService {
     return this.dbc.pragma (pragma, options)
   }
 
+  // Tracks result sets still being iterated, which are the only statements
+  // left running once control is back in JS, so that they can be cancelled
+  _iterating(rs) {
+    const iterating = (this.dbc[$iterating] ??= new Set())
+    let cancelled
+    const close = () => iterating.delete(cancel) && rs.return()
+    const cancel = reason => close((cancelled = reason))
+    iterating.add(cancel)
+    return {
+      [Symbol.iterator]() { return this },
+      next: () => {
+        if (cancelled) throw cancelled
+        const next = rs.next()
+        if (next.done) iterating.delete(cancel)
+        return next
+      },
+      return: () => (close(), { done: true }),
+    }
+  }
+
+  // better-sqlite3 runs statements synchronously, which block the event loop and
+  // hence cannot be interrupted, but statements still iterating rows are closed
+  async cancel(reason) {
+    for (const cancel of this.dbc?.[$iterating] ?? []) cancel(reason)
+  }
+
+  get dbSystem() {
+    return 'sqlite'
+  }
+
+  // e.g. UNIQUE constraint failed: sap_capire_bookshop_Books.ID
+  constraint4(err) {
+    const kind = CONSTRAINTS[err.code]
+    if (!kind) return
+    const [, details] = /constraint failed: (.*)/.exec(err.message) || []
+    // CHECK constraints are reported by name or condition, the others by columns, if at all
+    if (kind === 'check') return { kind, constraint: details }
+    const columns = details?.split(', ').map(c => c.split('.')) || []
+    return { kind, table: columns[0]?.[0], columns: columns.map(([, column]) => column) }
+  }
+
+  // Includes extended codes like SQLITE_BUSY_SNAPSHOT
+  isRetryable(err) {
+    return /^SQLITE_(BUSY|LOCKED)/.test(err.code)
+  }
+
+  // SQLite transactions are always serializable, hence we only decide
+  // whether to take the write lock upfront, or on the first write
+  begin4({ isolation, readOnly } = {}) {
+    if (isolation === 'serializable' && !readOnly) return 'BEGIN IMMEDIATE'
+    return 'BEGIN'
+  }
+
+  // SQLite has no read-only transactions, but read-only connections, which
+  // are switched back in release() before returning them to the pool
+  setTransaction4({ readOnly } = {}) {
+    return readOnly ? ['PRAGMA query_only = ON'] : []
+  }
 
   exec(sql) {
     return this.dbc.exec(sql)
@@ -138,9 +215,10 @@ class SQLiteService extends SQLService {
   }
 
   async onSIMPLE({ query, data }) {
-    const { sql, values } = this.cqn2sql(query, data)
+    const { sql, values, cqn } = this.cqn2sql(query, data)
     let ps = await this.prepare(sql)
     const vals = await this._prepareStreams(values)
+    if (cqn.UPDATE?.returning || cqn.DELETE?.returning) return this._returned(ps, undefined, vals)
     return (await ps.run(vals)).changes
   }
 
@@ -155,6 +233,22 @@ class SQLiteService extends SQLService {
     return super.onPlainSQL({ query, data }, next)
   }
 
+  // SQLite doesn't estimate rows, but tells which index is used for each SCAN or SEARCH
+  async explain4(sql, values = []) {
+    const ps = await this.prepare(`EXPLAIN QUERY PLAN ${sql}`)
+    const rows = await ps.all(values)
+    const depths = { 0: -1 }
+    return rows.map(({ id, parent, detail }) => {
+      const depth = (depths[id] = depths[parent] + 1)
+      // e.g. SEARCH Books USING INDEX sqlite_autoindex_Books_1 (ID=?)
+      const access = /^(SCAN|SEARCH) (\S+)(?: USING (.*?)(?: \(|$))?/.exec(detail)
+      if (!access) return { depth, operation: detail, detail }
+      const [, operation, table, using] = access
+      const index = using && (/INDEX (\S+)/.exec(using)?.[1] ?? using)
+      return { depth, operation, table, index, detail }
+    })
+  }
+
   static CQN2SQL = class CQN2SQLite extends SQLService.CQN2SQL {
     column_alias4(x, q) {
       let alias = super.column_alias4(x, q)
@@ -258,44 +352,6 @@ class SQLiteService extends SQLService {
 
     static ReservedWords = { ...super.ReservedWords, ...sqliteKeywords }
   }
-
-  // REALLY REVISIT: Here we are doing error handling which we probably never should have started.
-  // And worst of all, we handed out this as APIs without documenting it, so stakeholder tests rely
-  // on that? -> we urgently need to review these stakeholder tests.
-  // And we'd also need this to be implemented by each db service, and therefore documented, correct?
-  async onINSERT(req) {
-    try {
-      return await super.onINSERT(req)
-    } catch (err) {
-      throw _not_unique(err, 'ENTITY_ALREADY_EXISTS')
-    }
-  }
-
-  async onUPDATE(req) {
-    try {
-      return await super.onUPDATE(req)
-    } catch (err) {
-      throw _not_unique(err, 'UNIQUE_CONSTRAINT_VIOLATION')
-    }
-  }
-}
-
-// function _not_null (err) {
-//   if (err.code === "SQLITE_CONSTRAINT_NOTNULL") return Object.assign (err, {
-//     code: 'MUST_NOT_BE_NULL',
-//     target: /\.(.*?)$/.exec(err.message)[1], // here we are even constructing OData responses, with .target
-//     message: 'Value is required',
-//   })
-// }
-
-function _not_unique(err, code) {
-  if (err.message.match(/unique constraint/i))
-    return Object.assign(err, {
-      originalMessage: err.message, // FIXME: required because of next line
-      message: code, // FIXME: misusing message as code
-      code: 400, // FIXME: misusing code as (http) status
-    })
-  return err
 }
 
 module.exports = SQLiteService
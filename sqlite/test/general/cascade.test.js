@@ -0,0 +1,53 @@
+const cds = require('../../../test/cds.js')
+
+describe('deep delete with assert_integrity: db', () => {
+  beforeAll(() => {
+    process.env.cds_features_assert__integrity = 'db'
+  })
+
+  const { expect } = cds.test(__dirname, 'testModel.cds')
+
+  afterAll(() => {
+    delete process.env.cds_features_assert__integrity
+  })
+
+  // Counts the statements issued by deep deletes
+  let deletes
+  beforeEach(() => {
+    deletes = []
+    const { onSIMPLE } = cds.db
+    cds.db.onSIMPLE = function (req) {
+      if (req.query.DELETE) deletes.push(req.query)
+      return onSIMPLE.call(this, req)
+    }
+  })
+  afterEach(() => delete cds.db.onSIMPLE)
+
+  test('the deployed backlinks of compositions cascade deletes', async () => {
+    // Skipping the cascade at runtime relies on the constraints generated by the compiler
+    const ddl = cds.compile.to.sql(await cds.load(__dirname + '/testModel.cds'), { dialect: 'sqlite' }).join('\n').replace(/\s+/g, ' ')
+    expect(ddl).to.match(/CONSTRAINT c__Booking_to_Travel FOREIGN KEY\(to_Travel_TravelUUID\) REFERENCES Travel\(TravelUUID\) ON DELETE CASCADE/)
+    expect(ddl).to.match(/CONSTRAINT c__BookingSupplement_to_Booking FOREIGN KEY\(to_Booking_BookingUUID\) REFERENCES Booking\(BookingUUID\) ON DELETE CASCADE/)
+  })
+
+  test('deletes cascade on the database with a single statement', async () => {
+    const [TravelUUID, BookingUUID] = [cds.utils.uuid(), cds.utils.uuid()]
+    await INSERT.into('Travel').entries({
+      TravelUUID,
+      to_Booking: [{ BookingUUID, to_BookSupplement: [{ BookSupplUUID: cds.utils.uuid() }] }],
+    })
+
+    await DELETE.from('Travel').where({ TravelUUID })
+    expect(deletes.length).to.eq(1)
+    expect(await SELECT.from('Booking').where({ BookingUUID })).to.eql([])
+    expect(await SELECT.from('BookingSupplement').where({ to_Booking_BookingUUID: BookingUUID })).to.eql([])
+  })
+
+  test('compositions without backlinks are still deleted one by one', async () => {
+    await INSERT.into('Books').entries({ ID: 1, author: { id: 1, version: 'v1' } })
+
+    await DELETE.from('Books').where({ ID: 1 })
+    expect(deletes.length).to.eq(2)
+    expect(await SELECT.from('Author')).to.eql([])
+  })
+})
@@ -0,0 +1,38 @@
+const cds = require('../../../test/cds.js')
+
+describe('$count', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  beforeAll(() => INSERT.into('test.foo').entries([{ ID: 1 }, { ID: 2 }, { ID: 3 }]))
+
+  // Collects the statements prepared by the queries
+  let statements
+  beforeEach(() => {
+    statements = []
+    const { prepare } = cds.db
+    cds.db.prepare = function (sql) {
+      statements.push(sql)
+      return prepare.apply(this, arguments)
+    }
+  })
+  afterEach(() => delete cds.db.prepare)
+
+  test('full pages are counted with a window function in the same statement', async () => {
+    const query = SELECT.from('test.foo').columns('ID').orderBy('ID').limit(2)
+    query.SELECT.count = true
+    const rows = await query
+    expect(rows).to.eql([{ ID: 1 }, { ID: 2 }])
+    expect(rows.$count).to.eq(3)
+    expect(statements.length).to.eq(1)
+    expect(statements[0]).to.match(/count\(\*\) OVER \(\)/)
+  })
+
+  test('grouped queries are counted with a separate statement', async () => {
+    const query = SELECT.from('test.foo').columns('ID').groupBy('ID').limit(2)
+    query.SELECT.count = true
+    const rows = await query
+    expect(rows.$count).to.eq(3)
+    expect(statements.length).to.eq(2)
+    expect(statements[0]).not.to.match(/OVER/)
+  })
+})
@@ -0,0 +1,35 @@
+const cds = require('../../../test/cds.js')
+
+describe('explain', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  test('key lookups search by primary key', async () => {
+    const query = SELECT.one.from('test.foo', 1)
+    const { sql, steps } = await cds.db.explain(query)
+    expect(sql).to.match(/^SELECT json_insert/)
+    expect(steps).to.containSubset([{ depth: 0, operation: 'SEARCH', table: 'foo', index: 'INTEGER PRIMARY KEY' }])
+    // The query itself is left untouched
+    expect(query.SELECT.expand).to.be.undefined
+  })
+
+  test('filters on non-indexed columns scan the table', async () => {
+    const { steps } = await cds.db.explain(SELECT.from('test.BooksWithAssocAsKey').where({ title: 'x' }))
+    expect(steps).to.containSubset([{ operation: 'SCAN', table: 'BooksWithAssocAsKey' }])
+    expect(steps[0].index).to.be.undefined
+  })
+
+  test('SQL strings with values reflect the join order', async () => {
+    const sql = 'SELECT * FROM test_foo as f JOIN test_BooksWithAssocAsKey as b ON b.stock = f.ID WHERE b.author_ID = ?'
+    const { steps } = await cds.db.explain(sql, ['x'])
+    expect(steps.map(s => s.table)).to.eql(['b', 'f'])
+    expect(steps[0].index).to.match(/autoindex_test_BooksWithAssocAsKey/)
+  })
+
+  test('writes are explained without being run', async () => {
+    const { steps } = await cds.db.explain(DELETE.from('test.foo').where({ ID: 1 }))
+    expect(steps).to.containSubset([{ operation: 'SEARCH', table: 'foo' }])
+    const { sql } = await cds.db.explain(INSERT.into('test.foo').entries({ ID: 42 }))
+    expect(sql).to.match(/^INSERT INTO test_foo/)
+    expect(await SELECT.one.from('test.foo', 42)).to.be.undefined
+  })
+})
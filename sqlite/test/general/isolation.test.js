@@ -0,0 +1,67 @@
+const cds = require('../../../test/cds.js')
+
+describe('isolation levels and read-only transactions', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  let statements
+  beforeEach(() => {
+    statements = []
+    const { exec } = cds.db
+    cds.db.exec = function (sql) {
+      statements.push(sql)
+      return exec.call(this, sql)
+    }
+  })
+  afterEach(() => delete cds.db.exec)
+
+  test('plain transactions start with BEGIN', async () => {
+    await cds.db.tx(tx => tx.run(SELECT.from('test.foo')))
+    expect(statements[0]).to.eql('BEGIN')
+  })
+
+  test('serializable transactions take the write lock upfront', async () => {
+    await cds.db.tx({ isolation: 'serializable' }, tx => tx.run(SELECT.from('test.foo')))
+    expect(statements[0]).to.eql('BEGIN IMMEDIATE')
+  })
+
+  test('read-only transactions use read-only connections', async () => {
+    await cds.db.tx({ readOnly: true, isolation: 'serializable' }, async tx => {
+      await tx.run(SELECT.from('test.foo'))
+      expect(() => tx.dbc.exec('DELETE FROM test_foo')).to.throw('attempt to write a readonly database')
+    })
+    expect(statements.slice(0, 2)).to.eql(['BEGIN', 'PRAGMA query_only = ON'])
+    await cds.db.tx(tx => tx.run(INSERT.into('test.foo').entries({ ID: 42 })))
+    await cds.db.tx(tx => tx.run(DELETE.from('test.foo')))
+  })
+
+  test('invalid isolation levels are rejected', async () => {
+    await expect(cds.db.tx({ isolation: 'chaos' }, tx => tx.run(SELECT.from('test.foo')))).to.be.rejectedWith(
+      'Invalid isolation level',
+    )
+  })
+
+  test('writes in read-only transactions are rejected', async () => {
+    await cds.db.tx({ readOnly: true }, async tx => {
+      await expect(tx.run(INSERT.into('test.foo').entries({ ID: 1 }))).to.be.rejectedWith(
+        'Cannot modify data in a read-only transaction',
+      )
+      await expect(tx.run(`DELETE FROM test_foo`)).to.be.rejectedWith('Cannot modify data in a read-only transaction')
+      await expect(tx.run(`WITH x AS (SELECT 1) DELETE FROM test_foo`)).to.be.rejectedWith(
+        'Cannot modify data in a read-only transaction',
+      )
+      expect(await tx.run(SELECT.from('test.foo'))).to.eql([])
+    })
+  })
+
+  test('reads in read-only transactions are not mistaken for writes', async () => {
+    await cds.db.tx({ readOnly: true }, async tx => {
+      expect(await tx.run(`WITH x AS (SELECT 'a-b' AS v) SELECT replace(v, '-', '') AS v FROM x`)).to.eql([{ v: 'ab' }])
+      expect(await tx.run(`PRAGMA table_info(test_foo)`)).to.not.be.empty
+      await tx.run(`PRAGMA foreign_keys`)
+      await expect(tx.run(`PRAGMA journal_mode = WAL`)).to.be.rejectedWith('Cannot modify data in a read-only transaction')
+      await expect(tx.run(`WITH x AS (SELECT 1 AS ID) REPLACE INTO test_foo (ID) SELECT ID FROM x`)).to.be.rejectedWith(
+        'Cannot modify data in a read-only transaction',
+      )
+    })
+  })
+})
@@ -0,0 +1,195 @@
+const cds = require('../../../test/cds.js')
+const connect = require('../../../test/connect.js')
+
+describe('tenant pools', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  const use = (db, tenant) => db.tx({ tenant }, tx => tx.run('SELECT 1'))
+
+  test('least recently used pool is evicted when maxTenants is exceeded', async () => {
+    const db = await connect({ multiTenant: true, pool: { maxTenants: 2 } })
+    await use(db, 't1')
+    await use(db, 't2')
+    await use(db, 't1')
+    await use(db, 't3')
+    expect(Object.keys(db.pools).sort()).to.eql(['t1', 't3'])
+    await db.disconnect()
+  })
+
+  test('replica pools count as part of their tenants for maxTenants', async () => {
+    const db = await connect({ multiTenant: true, replica: true, pool: { maxTenants: 2 } })
+    await db.tx({ tenant: 't1', replica: true }, tx => tx.run('SELECT 1'))
+    await use(db, 't1')
+    await use(db, 't2')
+    expect(Object.keys(db.pools).sort()).to.eql(['t1', 't1:replica', 't2'])
+    await use(db, 't3')
+    expect(Object.keys(db.pools).sort()).to.eql(['t2', 't3'])
+    await db.disconnect()
+  })
+
+  test('failures to evict idle pools are logged', async () => {
+    const db = await connect({ multiTenant: true, pool: { tenantIdleTimeoutMillis: 10, tenantEvictionRunIntervalMillis: 10 } })
+    const errors = []
+    const { error } = cds.log('db|pool')
+    cds.log('db|pool').error = e => errors.push(e)
+    db.evictIdlePools = () => Promise.reject(new Error('drain failed'))
+    try {
+      await new Promise(resolve => setTimeout(resolve, 50))
+      expect(errors[0]?.message).to.eql('drain failed')
+    } finally {
+      cds.log('db|pool').error = error
+      await db.disconnect()
+    }
+  })
+
+  test('failures to disconnect least recently used pools are logged', async () => {
+    const db = await connect({ multiTenant: true, pool: { maxTenants: 1 } })
+    const warnings = []
+    const { warn } = cds.log('db|pool')
+    cds.log('db|pool').warn = (...args) => warnings.push(args)
+    const { disconnect } = db
+    db.disconnect = tenant => (tenant ? Promise.reject(new Error('disconnect failed')) : disconnect.call(db))
+    try {
+      await use(db, 't1')
+      await use(db, 't2')
+      await new Promise(resolve => setImmediate(resolve))
+      expect(warnings[0]?.[1]?.message).to.eql('disconnect failed')
+    } finally {
+      cds.log('db|pool').warn = warn
+      delete db.disconnect
+      await db.disconnect()
+    }
+  })
+
+  test('pools with borrowed connections are not evicted', async () => {
+    const db = await connect({ multiTenant: true, pool: { maxTenants: 1 } })
+    const tx = db.tx({ tenant: 't1' })
+    await tx.begin()
+    await use(db, 't2')
+    expect(Object.keys(db.pools).sort()).to.eql(['t1', 't2'])
+    await tx.rollback()
+    await db.disconnect()
+  })
+
+  test('idle pools are evicted after tenantIdleTimeoutMillis', async () => {
+    const db = await connect({ multiTenant: true, pool: { tenantIdleTimeoutMillis: 50, tenantEvictionRunIntervalMillis: 10 } })
+    await use(db, 't1')
+    expect(Object.keys(db.pools)).to.eql(['t1'])
+    await new Promise(resolve => setTimeout(resolve, 200))
+    expect(Object.keys(db.pools)).to.eql([])
+    await db.disconnect()
+  })
+
+  test('stats() returns pool sizes, counters and histograms per tenant', async () => {
+    const db = await connect({ multiTenant: true })
+    await use(db, 't1')
+    await use(db, 't1')
+    const { t1 } = db.stats()
+    expect(t1).to.containSubset({ size: 1, borrowed: 0, pending: 0, created: 1, acquired: 2, released: 2, acquireErrors: 0 })
+    expect(t1.acquireLatency.count).to.eql(2)
+    expect(t1.acquireLatency.buckets['+Inf']).to.eql(2)
+    await db.disconnect()
+    expect(db.stats()).to.eql({})
+  })
+
+  test('metrics emits pool events', async () => {
+    const db = await connect({ multiTenant: true, pool: { max: 1 } })
+    const events = []
+    for (let each of ['create', 'acquire', 'release', 'exhausted', 'destroy'])
+      db.metrics.on(each, e => events.push([each, e.tenant]))
+    const tx = db.tx({ tenant: 't1' })
+    await tx.begin()
+    const waiting = use(db, 't1')
+    await tx.commit()
+    await waiting
+    await db.disconnect()
+    expect(events).to.eql([
+      ['create', 't1'],
+      ['acquire', 't1'],
+      ['exhausted', 't1'],
+      ['release', 't1'],
+      ['acquire', 't1'],
+      ['release', 't1'],
+      ['destroy', 't1'],
+    ])
+  })
+
+  test('connections held longer than leakDetectionThresholdMillis are reported', async () => {
+    const db = await connect({ multiTenant: true, pool: { leakDetectionThresholdMillis: 20 } })
+    const leaks = []
+    db.metrics.on('leak', e => leaks.push(e))
+    const tx = db.tx({ tenant: 't1' })
+    await tx.begin()
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(leaks).to.have.length(1)
+    expect(leaks[0]).to.containSubset({ tenant: 't1' })
+    expect(leaks[0].stack).to.include(__filename)
+    expect(db.stats().t1).to.containSubset({ leaked: 1, borrowed: 1 })
+    await tx.commit()
+    await use(db, 't1')
+    expect(leaks).to.have.length(1)
+    await db.disconnect()
+  })
+
+  test('poolOptions4 allows per-tenant pool options', async () => {
+    const db = await connect({ multiTenant: true })
+    db.poolOptions4 = (tenant, options) => (tenant === 'premium' ? { ...options, max: 3 } : options)
+    await use(db, 'premium')
+    await use(db, 'basic')
+    expect(db.stats()).to.containSubset({ premium: { max: 3 }, basic: { max: 1 } })
+    await db.disconnect()
+  })
+
+  test('maxTotal limits the connections of all tenant pools', async () => {
+    const db = await connect({ multiTenant: true, pool: { maxTotal: 1 } })
+    const size = () => Object.values(db.stats()).reduce((sum, { size }) => sum + size, 0)
+    const tx = db.tx({ tenant: 't1' })
+    await tx.begin()
+    const waiting = use(db, 't2')
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(db.budget.pending).to.eql(1)
+    await tx.commit()
+    await waiting
+    expect(size()).to.eql(1)
+    // idle connections of other tenants are reclaimed
+    await use(db, 't3')
+    expect(size()).to.eql(1)
+    expect(db.stats().t3.size).to.eql(1)
+    await db.disconnect()
+  })
+
+  test('tenants waiting for the connection budget time out', async () => {
+    const ConnectionBudget = require('@cap-js/db-service/lib/common/connection-budget')
+    const budget = new ConnectionBudget(1)
+    await budget.acquire('a')
+    await expect(budget.acquire('b', 10)).to.be.rejectedWith({ code: 'POOL_BUDGET_TIMEOUT' })
+    expect(budget.pending).to.eql(0)
+    budget.release()
+    expect(budget.used).to.eql(0)
+  })
+
+  test('tenants waiting for the connection budget are served round-robin', async () => {
+    const ConnectionBudget = require('@cap-js/db-service/lib/common/connection-budget')
+    const budget = new ConnectionBudget(1)
+    const served = []
+    await budget.acquire('a')
+    const waiting = ['a', 'a', 'a', 'b', 'c'].map(t => budget.acquire(t).then(() => served.push(t)))
+    for (let i = 0; i < waiting.length; i++) budget.release()
+    await Promise.all(waiting)
+    expect(served).to.eql(['a', 'b', 'c', 'a', 'a'])
+    budget.release()
+    expect(budget.used).to.eql(0)
+  })
+
+  test('leaked connections are reclaimed with leakDetectionAction', async () => {
+    const db = await connect({ multiTenant: true, pool: { leakDetectionThresholdMillis: 20, leakDetectionAction: 'destroy' } })
+    const tx = db.tx({ tenant: 't1' })
+    await tx.begin()
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(db.stats().t1).to.containSubset({ leaked: 1, borrowed: 0, size: 0 })
+    await expect(tx.run('SELECT 1')).to.be.rejected
+    await tx.rollback().catch(() => {})
+    await use(db, 't1')
+    await db.disconnect()
+  })
+})
@@ -0,0 +1,45 @@
+const cds = require('../../../test/cds.js')
+const connect = require('../../../test/connect.js')
+
+describe('read replica', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  let db
+  beforeAll(async () => {
+    db = await connect({ replica: true })
+    await db.run('CREATE TABLE origin (name TEXT)')
+    await db.tx(tx => tx.run(`INSERT INTO origin VALUES ('primary')`))
+    // Seed the replica directly, as writes would be promoted to the primary
+    await db.tx({ replica: true }, async tx => {
+      await tx.run('SELECT 1')
+      tx.dbc.exec(`CREATE TABLE origin (name TEXT); INSERT INTO origin VALUES ('replica')`)
+    })
+  })
+  afterAll(() => db.disconnect())
+
+  const origin = tx => tx.run('SELECT name FROM origin').then(([row]) => row.name)
+
+  test('read-only transactions read from the replica', async () => {
+    expect(await db.tx({ readOnly: true }, origin)).to.eql('replica')
+    expect(Object.keys(db.pools).filter(t => t.endsWith(':replica')).length).to.eql(1)
+  })
+
+  test('standalone SELECTs read from the replica', async () => {
+    expect(await db.run(SELECT.one.from('origin'))).to.eql({ name: 'replica' })
+  })
+
+  test('other transactions read from the primary', async () => {
+    expect(await db.tx(origin)).to.eql('primary')
+    expect(await db.tx(tx => tx.run(SELECT.one.from('origin').forUpdate()))).to.eql({ name: 'primary' })
+  })
+
+  test('replica transactions are promoted to the primary on writes', async () => {
+    await db.tx({ replica: true }, async tx => {
+      expect(await origin(tx)).to.eql('replica')
+      await tx.run(`INSERT INTO origin VALUES ('promoted')`)
+      expect(await tx.run('SELECT name FROM origin')).to.eql([{ name: 'primary' }, { name: 'promoted' }])
+    })
+    expect(await db.tx(tx => tx.run('SELECT count(*) as count FROM origin'))).to.eql([{ count: 2 }])
+    await db.tx(tx => tx.run(`DELETE FROM origin WHERE name = 'promoted'`))
+  })
+})
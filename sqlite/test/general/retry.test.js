@@ -0,0 +1,50 @@
+const cds = require('../../../test/cds.js')
+
+describe('transaction retries', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  const busy = () => Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' })
+  const failing = (failures, err = busy) => {
+    const fn = async tx => {
+      fn.attempts++
+      await tx.run(INSERT.into('test.foo').entries({ ID: fn.attempts }))
+      if (fn.attempts <= failures) throw err()
+      return tx.run(SELECT.from('test.foo').columns('ID'))
+    }
+    fn.attempts = 0
+    return fn
+  }
+  afterEach(() => DELETE.from('test.foo'))
+
+  test('transactions are not retried by default', async () => {
+    const fn = failing(1)
+    await expect(cds.db.tx(fn)).to.be.rejectedWith('database is locked')
+    expect(fn.attempts).to.eql(1)
+  })
+
+  test('retryable errors re-run the whole transaction', async () => {
+    const fn = failing(2)
+    const rows = await cds.db.tx({ retry: { attempts: 3, backoff: 1 } }, fn)
+    expect(fn.attempts).to.eql(3)
+    // the inserts of failed attempts are rolled back
+    expect(rows).to.eql([{ ID: 3 }])
+  })
+
+  test('the last error is thrown once all attempts failed', async () => {
+    const fn = failing(5)
+    await expect(cds.db.tx({ retry: { attempts: 2, backoff: 1 } }, fn)).to.be.rejectedWith('database is locked')
+    expect(fn.attempts).to.eql(2)
+  })
+
+  test('other errors are not retried', async () => {
+    const fn = failing(1, () => new Error('boom'))
+    await expect(cds.db.tx({ retry: { backoff: 1 } }, fn)).to.be.rejectedWith('boom')
+    expect(fn.attempts).to.eql(1)
+  })
+
+  test('isRetryable classifies SQLite busy and locked errors', () => {
+    expect(cds.db.isRetryable({ code: 'SQLITE_BUSY_SNAPSHOT' })).to.eql(true)
+    expect(cds.db.isRetryable({ code: 'SQLITE_LOCKED' })).to.eql(true)
+    expect(cds.db.isRetryable({ code: 'SQLITE_CONSTRAINT_PRIMARYKEY' })).to.eql(false)
+  })
+})
@@ -0,0 +1,69 @@
+const cds = require('../../../test/cds.js')
+
+describe('savepoints', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  const IDs = async () => (await SELECT.from('test.foo').columns('ID').orderBy('ID')).map(r => r.ID)
+
+  afterEach(() => DELETE.from('test.foo'))
+
+  test('rollbackTo() undoes changes since the savepoint', async () => {
+    await cds.db.tx(async tx => {
+      await tx.run(INSERT.into('test.foo').entries({ ID: 1 }))
+      await tx.savepoint('sp')
+      await tx.run(INSERT.into('test.foo').entries({ ID: 2 }))
+      await tx.rollbackTo('sp')
+      await tx.run(INSERT.into('test.foo').entries({ ID: 3 }))
+      await tx.release('sp')
+    })
+    expect(await IDs()).to.eql([1, 3])
+  })
+
+  test('release() keeps changes since the savepoint', async () => {
+    await cds.db.tx(async tx => {
+      await tx.savepoint('sp')
+      await tx.run(INSERT.into('test.foo').entries({ ID: 1 }))
+      await tx.release('sp')
+    })
+    expect(await IDs()).to.eql([1])
+  })
+
+  test('invalid savepoint names are rejected', async () => {
+    await expect(cds.db.tx(tx => tx.savepoint('x; DROP TABLE test_foo'))).to.be.rejectedWith(/Invalid savepoint name/)
+  })
+
+  describe('with savepoints option', () => {
+    beforeAll(() => (cds.db.options.savepoints = true))
+    afterAll(() => delete cds.db.options.savepoints)
+
+    test('nested tx(fn) rolls back to a savepoint on errors', async () => {
+      await cds.db.tx(async tx => {
+        for (let ID of [1, 2, 1, 3]) {
+          await tx.tx(() => tx.run(INSERT.into('test.foo').entries({ ID }))).catch(() => {})
+        }
+      })
+      expect(await IDs()).to.eql([1, 2, 3])
+    })
+
+    test('nested db.tx(fn) within a context with an open transaction uses a savepoint', async () => {
+      await cds.db.tx(async tx => {
+        await tx.run(INSERT.into('test.foo').entries({ ID: 1 }))
+        await cds.db.tx(async nested => {
+          expect(nested).to.equal(tx)
+          await nested.run(INSERT.into('test.foo').entries({ ID: 2 }))
+          throw new Error('rolled back to savepoint')
+        }).catch(() => {})
+      })
+      expect(await IDs()).to.eql([1])
+    })
+
+    test('nested tx() with other transaction options is rejected', async () => {
+      await cds.db.tx({ isolation: 'serializable' }, async tx => {
+        await expect(tx.tx({ readOnly: true }, () => {})).to.be.rejectedWith(/can't change the readOnly/)
+        await expect(tx.tx({ isolation: 'read committed' }, () => {})).to.be.rejectedWith(/can't change the isolation/)
+        await tx.tx({ isolation: 'serializable' }, nested => nested.run(INSERT.into('test.foo').entries({ ID: 1 })))
+      })
+      expect(await IDs()).to.eql([1])
+    })
+  })
+})
@@ -0,0 +1,41 @@
+const cds = require('../../../test/cds.js')
+
+describe('session context variables', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  afterEach(() => DELETE.from('test.foo'))
+
+  const ctx = {
+    user: new cds.User({ id: 'alice', attr: { country: 'DE', regions: ['EU', 'APJ'] } }),
+    tenant: 't1',
+    session: { channel: 'web' },
+  }
+
+  test('user attributes, tenant and app-defined variables can be referenced in queries', async () => {
+    const row = await cds.db.tx(ctx, async tx => {
+      await tx.run(INSERT.into('test.foo').entries({ ID: 1 }))
+      return tx.run(
+        SELECT.one.from('test.foo').columns(
+          { ref: ['$user', 'id'], as: 'user' },
+          { ref: ['$user', 'country'], as: 'country' },
+          { ref: ['$user', 'regions'], as: 'regions' },
+          { ref: ['$tenant'], as: 'tenant' },
+          { ref: ['$session', 'channel'], as: 'channel' },
+        ),
+      )
+    })
+    expect(row).to.eql({ user: 'alice', country: 'DE', regions: 'EU,APJ', tenant: 't1', channel: 'web' })
+  })
+
+  test('user attributes can be used through session_context in native SQL', async () => {
+    const rows = await cds.db.tx(ctx, tx => tx.run(`SELECT session_context('$user.country') as country`))
+    expect(rows).to.eql([{ country: 'DE' }])
+  })
+
+  test('missing user attributes are null', async () => {
+    const rows = await cds.db.tx({ user: new cds.User('bob') }, tx =>
+      tx.run(`SELECT session_context('$user.country') as country, session_context('$user.id') as id`),
+    )
+    expect(rows).to.eql([{ country: null, id: 'bob' }])
+  })
+})
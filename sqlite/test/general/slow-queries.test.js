@@ -0,0 +1,79 @@
+const cds = require('../../../test/cds.js')
+const connect = require('../../../test/connect.js')
+
+describe('slow query log', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  const LOG = cds.log('slow-queries')
+  const { info, warn } = LOG
+  let logged
+  beforeEach(() => {
+    logged = []
+    LOG.info = entry => logged.push({ level: 'info', ...JSON.parse(entry) })
+    LOG.warn = entry => logged.push({ level: 'warn', ...JSON.parse(entry) })
+  })
+  afterAll(() => Object.assign(LOG, { info, warn }))
+
+  const connectWith = async slowQueries => {
+    const db = await connect({ slowQueries })
+    await db.run(CREATE('test.foo'))
+    logged = []
+    return db
+  }
+
+  test('statements above the threshold are logged with timings and context', async () => {
+    const db = await connectWith({ threshold: 0 })
+    await db.run(INSERT.into('test.foo').entries({ ID: 1, createdBy: 'alice' }))
+    await db.run(SELECT.from('test.foo').where({ ID: 1, createdBy: 'alice' }))
+
+    const select = logged.find(e => /^SELECT/.test(e.sql))
+    expect(select).to.containSubset({
+      level: 'warn',
+      slow: true,
+      rows: 1,
+      entity: 'test.foo',
+      values: [1, '<string(5)>'],
+      cqn: { SELECT: { where: [{ ref: ['ID'] }, '=', { val: 1 }, 'and', { ref: ['createdBy'] }, '=', { val: '<string(5)>' }] } },
+    })
+    expect(select.duration).to.be.at.least(select.execute)
+    expect(select.prepare).to.be.at.least(0)
+
+    const insert = logged.find(e => /^INSERT/.test(e.sql))
+    expect(insert).to.containSubset({ rows: 1, entity: 'test.foo', cqn: { INSERT: { entries: '<array(1)>' } } })
+    expect(JSON.stringify(logged)).not.to.match(/alice/)
+    await db.disconnect()
+  })
+
+  test('other statements are sampled', async () => {
+    let db = await connectWith({ threshold: 60000 })
+    await db.run(SELECT.from('test.foo'))
+    expect(logged).to.eql([])
+    await db.disconnect()
+
+    db = await connectWith({ threshold: 60000, sampleRate: 1 })
+    await db.run(SELECT.from('test.foo'))
+    expect(logged).to.containSubset([{ level: 'info', slow: false, rows: 0, entity: 'test.foo' }])
+    await db.disconnect()
+  })
+
+  test('plain SQL is logged with the tenant', async () => {
+    const db = await connectWith({ threshold: 0 })
+    await db.tx({ tenant: 't1' }, tx => tx.run('SELECT ? as x', [42]))
+    expect(logged).to.containSubset([{ sql: 'SELECT ? as x', values: [42], rows: 1, tenant: 't1' }])
+    await db.disconnect()
+  })
+
+  test('iterated statements are logged once all rows are read', async () => {
+    const db = await connectWith({ threshold: 0 })
+    await db.run(INSERT.into('test.foo').entries([{ ID: 1 }, { ID: 2 }]))
+    logged = []
+    const rows = []
+    for await (const row of db.foreach(SELECT.from('test.foo').columns('ID'))) {
+      expect(logged.filter(e => /^SELECT/.test(e.sql))).to.eql([])
+      rows.push(row)
+    }
+    expect(rows.length).to.eql(2)
+    expect(logged).to.containSubset([{ slow: true, rows: 2, entity: 'test.foo' }])
+    await db.disconnect()
+  })
+})
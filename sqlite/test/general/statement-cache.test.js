@@ -0,0 +1,54 @@
+const cds = require('../../../test/cds.js')
+const connect = require('../../../test/connect.js')
+
+describe('statement cache', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  const connectWith = statementCacheSize => connect({ multiTenant: true, statementCacheSize })
+  const stats = db => db.stats().t1.statements
+
+  test('prepared statements are reused across transactions', async () => {
+    const db = await connectWith()
+    await db.tx({ tenant: 't1' }, tx => tx.run('SELECT 1'))
+    const before = stats(db)
+    await db.tx({ tenant: 't1' }, tx => tx.run('SELECT 1'))
+    const after = stats(db)
+    expect(after.misses).to.eql(before.misses)
+    expect(after.hits).to.be.above(before.hits)
+    await db.disconnect()
+  })
+
+  test('least recently used statements are evicted when statementCacheSize is exceeded', async () => {
+    const db = await connectWith(2)
+    await db.tx({ tenant: 't1' }, async tx => {
+      for (let i = 0; i < 5; i++) await tx.run(`SELECT ${i}`)
+      expect(tx.statements4(tx.dbc).size).to.eql(2)
+      await tx.run('SELECT 4')
+    })
+    expect(stats(db).evictions).to.be.at.least(3)
+    expect(stats(db).hits).to.be.at.least(1)
+    await db.disconnect()
+  })
+
+  test('statementCacheSize 0 disables the cache', async () => {
+    const db = await connectWith(0)
+    await db.tx({ tenant: 't1' }, async tx => {
+      await tx.run('SELECT 1')
+      await tx.run('SELECT 1')
+      expect(tx.statements4(tx.dbc)).to.eql(null)
+    })
+    expect(stats(db)).to.eql({ hits: 0, misses: 0, evictions: 0 })
+    await db.disconnect()
+  })
+
+  test('statements busy iterating rows are not reused', async () => {
+    const query = SELECT.from('test.foo').columns('ID')
+    await cds.tx(async tx => {
+      await tx.run(INSERT.into('test.foo').entries([{ ID: 1 }, { ID: 2 }]))
+      const rows = []
+      for await (const row of tx.foreach(query)) rows.push([row.ID, (await tx.run(query)).length])
+      expect(rows).to.eql([[1, 2], [2, 2]])
+      await tx.rollback()
+    })
+  })
+})
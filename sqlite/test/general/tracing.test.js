@@ -0,0 +1,77 @@
+const cds = require('../../../test/cds.js')
+const connect = require('../../../test/connect.js')
+
+describe('tracing', () => {
+  const { expect } = cds.test(__dirname, 'model.cds')
+
+  // A local in-process collector implementing the OpenTelemetry Tracer API subset
+  const collector = {
+    spans: [],
+    startSpan(name, { kind, attributes }) {
+      const span = {
+        name, kind, attributes: { ...attributes }, ended: false,
+        setAttribute: (k, v) => (span.attributes[k] = v),
+        recordException: err => (span.exception = err.message),
+        setStatus: status => (span.status = status),
+        end: () => (span.ended = true),
+      }
+      this.spans.push(span)
+      return span
+    },
+  }
+
+  let db
+  beforeAll(async () => {
+    db = await connect({ tracer: collector })
+    await db.run(CREATE('test.foo'))
+    await db.run(INSERT.into('test.foo').entries([{ ID: 1 }, { ID: 2 }]))
+  })
+  beforeEach(() => (collector.spans = []))
+  afterAll(() => db.disconnect())
+
+  test('statements are traced with database attributes', async () => {
+    await db.run(SELECT.from('test.foo'))
+    const [prepare, select] = collector.spans.filter(s => /SELECT/.test(s.name))
+    expect(prepare).to.containSubset({ name: 'prepare SELECT', kind: 2, ended: true })
+    expect(select).to.containSubset({
+      name: 'SELECT',
+      ended: true,
+      attributes: { 'db.system': 'sqlite', 'db.operation': 'SELECT', 'db.response.returned_rows': 2 },
+    })
+    expect(select.attributes['db.statement']).to.match(/FROM test_foo/)
+  })
+
+  test('writes report the affected rows, and transaction statements are traced as well', async () => {
+    await db.tx(tx => tx.run(UPDATE('test.foo').set({ defaultValue: 1 })))
+    expect(collector.spans).to.containSubset([{ name: 'BEGIN' }, { name: 'UPDATE' }, { name: 'COMMIT' }])
+    expect(collector.spans.find(s => s.name === 'UPDATE').attributes['db.response.returned_rows']).to.eql(2)
+  })
+
+  test('failures are recorded', async () => {
+    await expect(db.run('SELECT * FROM unknown')).to.be.rejectedWith(/no such table/)
+    expect(collector.spans.find(s => s.exception)).to.containSubset({
+      name: 'prepare SELECT',
+      status: { code: 2 },
+      ended: true,
+    })
+  })
+
+  test('iterated rows end the span when all are read', async () => {
+    let read = 0
+    for await (const row of db.foreach(SELECT.from('test.foo'))) {
+      expect(row.ID).to.eql(++read)
+      expect(collector.spans.find(s => s.name === 'SELECT').ended).to.be.false
+    }
+    expect(collector.spans.find(s => s.name === 'SELECT')).to.containSubset({
+      ended: true,
+      attributes: { 'db.response.returned_rows': 2 },
+    })
+  })
+
+  test('tracing can be turned off', async () => {
+    db.trace(null)
+    await db.run(SELECT.from('test.foo'))
+    expect(collector.spans).to.eql([])
+    db.trace(collector)
+  })
+})
@@ -32,6 +32,6 @@ describe('UUID Generation', () => {
   test('INSERT entity with missing key as association throws error', async () => {
     await expect(
       INSERT.into('test.BooksWithAssocAsKey').entries([{}])
-    ).rejectedWith({code:'SQLITE_CONSTRAINT_NOTNULL'})
+    ).rejectedWith({ code: 'MUST_NOT_BE_NULL', elements: ['author_ID'] })
   })
 })
@@ -608,6 +608,70 @@ describe('SELECT', () => {
       assert.strictEqual(res.length, 1, 'Ensure that all rows are coming back')
       assert.strictEqual(res[0].string, 'no', 'Ensure that the first row is coming back')
     })
+
+    describe('after', () => {
+      const pages = async (query, rows) => {
+        const ids = []
+        let after = null
+        do {
+          const page = await query.clone().limit({ rows, after })
+          assert.ok(page.length <= rows, 'Ensure that no more than a page is coming back')
+          ids.push(...page.map(row => row.ID))
+          after = page.$after
+        } while (after)
+        return ids
+      }
+
+      test('pages through mixed ascending and descending nullable columns', async () => {
+        const { keyset } = cds.entities('edge')
+        const all = await SELECT.from(keyset).orderBy('name asc', 'rank desc', 'ID')
+        for (const rows of [1, 2, 3]) {
+          const query = SELECT.from(keyset).columns('ID', 'name').orderBy('name asc', 'rank desc')
+          assert.deepStrictEqual(await pages(query, rows), all.map(row => row.ID), `Ensure that pages of ${rows} are complete`)
+        }
+      })
+
+      test('pages through descending keys', async () => {
+        const { keyset } = cds.entities('edge')
+        const query = SELECT.from(keyset).columns('ID').orderBy('rank desc', 'ID desc')
+        assert.deepStrictEqual(await pages(query, 2), [7, 6, 3, 4, 1, 5, 2])
+      })
+
+      test('sort values are not part of the rows', async () => {
+        const { keyset } = cds.entities('edge')
+        const page = await SELECT.from(keyset).columns('name').orderBy('name').limit({ rows: 2, after: null })
+        assert.deepStrictEqual(page, [{ name: null }, { name: 'a' }])
+        assert.strictEqual(typeof page.$after, 'string', 'Ensure that a continuation token is returned')
+      })
+
+      test('values of the sort columns', async () => {
+        const { keyset } = cds.entities('edge')
+        const page = await SELECT.from(keyset).columns('ID').orderBy('name', 'rank').limit({ rows: 2, after: { name: 'a', rank: 1, ID: 1 } })
+        assert.deepStrictEqual(page.map(row => row.ID), [3, 2])
+      })
+
+      test('combined with where and count', async () => {
+        const { keyset } = cds.entities('edge')
+        const query = SELECT.from(keyset).columns('ID').where({ name: 'b' }).orderBy('ID')
+        query.SELECT.count = true
+        const first = await query.clone().limit({ rows: 2, after: null })
+        const last = await query.clone().limit({ rows: 2, after: first.$after })
+        assert.deepStrictEqual([...first, ...last].map(row => row.ID), [2, 6, 7])
+        assert.strictEqual(last.$count, 3, 'Ensure that all rows are counted')
+        assert.strictEqual(last.$after, undefined, 'Ensure that there are no more pages')
+      })
+
+      test('invalid continuation tokens', async () => {
+        const { keyset } = cds.entities('edge')
+        await assert.rejects(cds.run(SELECT.from(keyset).orderBy('name').limit({ rows: 2, after: 'invalid' })), /Invalid continuation token/)
+      })
+
+      test('missing values of the sort columns', async () => {
+        const { keyset } = cds.entities('edge')
+        const query = SELECT.from(keyset).orderBy('name').limit({ rows: 2, after: { name: 'a' } })
+        await assert.rejects(cds.run(query), { status: 400, message: /Missing value for ID/ })
+      })
+    })
   })
 
   const generalLockTest = (lock4, shared = false) => {
@@ -788,6 +852,64 @@ describe('SELECT', () => {
       const renamed = result.map(row => ({ key: row.ID, fullName: row.name }))
       assert.strictEqual(renamed.$count, 1)
     })
+
+    test('count of all pages', async () => {
+      const { string } = cds.entities('basic.literals')
+      const cqn = CQL`SELECT string FROM ${string} ORDER BY string LIMIT 1 OFFSET 1`
+      cqn.SELECT.count = true
+      const res = await cds.run(cqn)
+      assert.strictEqual(res.length, 1, 'Ensure that only the requested page is coming back')
+      assert.strictEqual(res.$count, 3, 'Ensure that all rows are counted')
+      assert.deepStrictEqual(Object.keys(res[0]), ['string'], 'Ensure that the count is not part of the rows')
+    })
+
+    test('count of a page beyond the last one', async () => {
+      const { string } = cds.entities('basic.literals')
+      const cqn = CQL`SELECT string FROM ${string} LIMIT 2 OFFSET 5`
+      cqn.SELECT.count = true
+      const res = await cds.run(cqn)
+      assert.strictEqual(res.length, 0)
+      assert.strictEqual(res.$count, 3, 'Ensure that all rows are counted')
+    })
+
+    test('count of all pages is read along with the rows, except on HANA', async () => {
+      const { string } = cds.entities('basic.literals')
+      const cqn = CQL`SELECT string FROM ${string} ORDER BY string LIMIT 1 OFFSET 1`
+      cqn.SELECT.count = true
+      // HANA reads its rows from a script of expands, which only passes along their JSON
+      const separately = cds.db.options.impl === '@cap-js/hana'
+      let counted = 0
+      const { count } = cds.db
+      cds.db.count = function () {
+        counted++
+        return count.apply(this, arguments)
+      }
+      try {
+        const res = await cds.run(cqn)
+        assert.strictEqual(res.$count, 3, 'Ensure that all rows are counted')
+        assert.strictEqual(counted, separately ? 1 : 0, 'Ensure that the count is only read separately on HANA')
+      } finally {
+        delete cds.db.count
+      }
+    })
+
+    test('count of groups', async () => {
+      const { string } = cds.entities('basic.literals')
+      const cqn = CQL`SELECT string, count(*) as count FROM ${string} GROUP BY string HAVING count(*) > 0 LIMIT 1`
+      cqn.SELECT.count = true
+      const res = await cds.run(cqn)
+      assert.strictEqual(res.length, 1)
+      assert.strictEqual(res.$count, 3, 'Ensure that the groups are counted instead of the rows')
+    })
+
+    test('count of distinct rows', async () => {
+      const { string } = cds.entities('basic.literals')
+      const cqn = CQL`SELECT ${'static'} as static FROM ${string} LIMIT 1`
+      cqn.SELECT.distinct = true
+      cqn.SELECT.count = true
+      const res = await cds.run(cqn)
+      assert.strictEqual(res.$count, 1, 'Ensure that the distinct rows are counted')
+    })
   })
 
   describe('one', () => {
@@ -0,0 +1,65 @@
+const cds = require('../cds.js')
+const { ConstraintViolation } = require('@cap-js/db-service')
+
+const constraints = 'edge.constraints'
+
+/**
+ * Tests explicitely, that all DBs report violated constraints the same way
+ */
+describe('constraint violations', () => {
+  const { expect } = cds.test(__dirname + '/resources')
+
+  beforeAll(async () => {
+    // Check and foreign key constraints are not generated from the model
+    await cds.db.run('DROP TABLE edge_constraints')
+    await cds.db.run(`CREATE TABLE edge_constraints (
+      ID INTEGER NOT NULL, parent_ID INTEGER, amount INTEGER NOT NULL,
+      PRIMARY KEY (ID),
+      CONSTRAINT fk_parent FOREIGN KEY (parent_ID) REFERENCES edge_constraints (ID),
+      CONSTRAINT positive CHECK (amount > 0)
+    )`)
+    if (cds.db.options.impl === '@cap-js/sqlite') await cds.db.run('PRAGMA foreign_keys = ON')
+    await INSERT.into(constraints).entries([{ ID: 1, amount: 1 }, { ID: 2, amount: 1 }])
+  })
+
+  const violation = async query => {
+    const err = await expect(cds.db.run(query)).rejected
+    expect(err).to.be.instanceOf(ConstraintViolation)
+    expect(err.message).to.eql(err.code)
+    expect(err.originalMessage).to.eql(err.cause.message)
+    return err
+  }
+
+  test('existing keys', async () => {
+    const err = await violation(INSERT.into(constraints).entries({ ID: 1, amount: 1 }))
+    expect(err).to.containSubset({ message: 'ENTITY_ALREADY_EXISTS', status: 409, entity: constraints, keys: { ID: 1 } })
+  })
+
+  test('existing keys on updates', async () => {
+    const err = await violation(UPDATE(constraints, 2).with({ ID: 1 }))
+    expect(err).to.containSubset({ message: 'UNIQUE_CONSTRAINT_VIOLATION', status: 409, entity: constraints })
+  })
+
+  test('missing values', async () => {
+    const err = await violation(INSERT.into(constraints).entries({ ID: 3, amount: null }))
+    expect(err).to.containSubset({ message: 'MUST_NOT_BE_NULL', status: 400, entity: constraints, keys: { ID: 3 } })
+    expect(err.elements).to.eql(['amount'])
+    expect(err.target).to.eql('amount')
+  })
+
+  test('check constraints', async () => {
+    const err = await violation(UPDATE(constraints, 1).with({ amount: -1 }))
+    expect(err).to.containSubset({ message: 'CHECK_CONSTRAINT_VIOLATION', status: 400 })
+    if (err.constraint) expect(err.constraint).to.match(/positive/i)
+  })
+
+  test('foreign keys', async () => {
+    const err = await violation(INSERT.into(constraints).entries({ ID: 3, amount: 1, parent_ID: 42 }))
+    expect(err).to.containSubset({ message: 'FK_CONSTRAINT_VIOLATION', status: 400, entity: constraints })
+  })
+
+  test('other errors are passed through', async () => {
+    const err = await expect(cds.db.run(INSERT.into('edge.unknown').entries({ ID: 3 }))).rejected
+    expect(err).not.to.be.instanceOf(ConstraintViolation)
+  })
+})
@@ -0,0 +1,47 @@
+const cds = require('../cds.js')
+
+const Books = 'complex.associations.Books'
+
+/**
+ * Tests explicitely, that all DBs return their execution plans in the same shape
+ */
+describe('explain', () => {
+  const { expect } = cds.test(__dirname + '/resources')
+
+  const expectSteps = steps => {
+    expect(steps).to.be.an('array').that.is.not.empty
+    expect(steps[0].depth).to.eql(0)
+    steps.forEach((step, i) => {
+      expect(step).to.have.property('detail')
+      expect(step.operation).to.be.a('string').that.is.not.empty
+      expect(step.depth).to.be.a('number').within(0, i && steps[i - 1].depth + 1)
+      for (const each of ['table', 'index']) if (step[each] !== undefined) expect(step[each]).to.be.a('string')
+      if (step.rows !== undefined) expect(step.rows).to.be.a('number')
+    })
+    return steps
+  }
+
+  test('queries return their SQL and plan steps', async () => {
+    const query = SELECT.from(Books).where({ title: 'x' })
+    const { sql, steps } = await cds.db.explain(query)
+    expect(sql).to.be.a('string').that.matches(/^\s*(WITH|SELECT|DO)\b/i)
+    expect(expectSteps(steps).some(s => /books/i.test(s.table))).to.be.true
+    // The query itself is left untouched
+    expect(query.SELECT.expand).to.be.undefined
+  })
+
+  test('SQL strings with values are explained', async () => {
+    const { sql: select, values } = cds.db.cqn2sql(SELECT.from(Books).where({ ID: 1 }))
+    const { sql, steps } = await cds.db.explain(select, values)
+    expect(sql).to.eql(select)
+    expect(expectSteps(steps).some(s => /books/i.test(s.table))).to.be.true
+  })
+
+  test('writes are explained without being run', async () => {
+    expectSteps((await cds.db.explain(DELETE.from(Books).where({ ID: 1 }))).steps)
+    const { sql, steps } = await cds.db.explain(INSERT.into(Books).entries({ ID: 91042 }))
+    expect(sql).to.match(/^\s*INSERT INTO/i)
+    expectSteps(steps)
+    expect(await SELECT.one.from(Books, 91042)).to.be.undefined
+  })
+})
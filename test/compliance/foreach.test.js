@@ -0,0 +1,79 @@
+const cds = require('../cds.js')
+
+const Books = 'complex.associations.Books'
+const Authors = 'complex.associations.Authors'
+
+describe('foreach', () => {
+  const { expect } = cds.test(__dirname + '/resources')
+
+  const IDs = [91001, 91002, 91003]
+  beforeAll(async () => {
+    await INSERT.into(Authors).entries(IDs.map(ID => ({ ID, name: `Author ${ID}` })))
+    await INSERT.into(Books).entries(IDs.map(ID => ({ ID, title: `Book ${ID}`, author_ID: ID })))
+  })
+
+  const books = () =>
+    SELECT.from(Books)
+      .columns('ID', 'title', { ref: ['author'], expand: [{ ref: ['name'] }] })
+      .where({ ID: { in: IDs } })
+      .orderBy('ID')
+
+  test('returns an async iterator of converted rows', async () => {
+    const rows = []
+    for await (const row of cds.db.foreach(books())) rows.push(row)
+    expect(rows.map(r => r.title)).to.eql(['Book 91001', 'Book 91002', 'Book 91003'])
+    expect(rows[0].author).to.eql({ name: 'Author 91001' })
+    expect(rows).to.eql(await books())
+  })
+
+  test('invokes a callback with each row and its index', async () => {
+    const rows = []
+    const all = await cds.db.foreach(books(), (row, i) => rows.push([i, row.ID]))
+    expect(rows).to.eql([[0, 91001], [1, 91002], [2, 91003]])
+    expect(all).to.eql(await books())
+  })
+
+  test('fetches rows incrementally and releases the connection when exiting the loop', async () => {
+    let read = 0
+    for await (const row of cds.db.foreach(books())) {
+      read++
+      if (row.ID === 91001) break
+    }
+    expect(read).to.eql(1)
+    // the connection is available again
+    expect(await SELECT.one.from(Books).where({ ID: 91002 })).to.containSubset({ title: 'Book 91002' })
+  })
+
+  test('yields rows without the columns selected for counts and continuation tokens', async () => {
+    const query = SELECT.from(Books).columns('ID').where({ ID: { in: IDs } }).orderBy('ID').limit({ rows: 2, after: null })
+    query.SELECT.count = true
+    const rows = []
+    for await (const row of cds.db.foreach(query)) rows.push(row)
+    expect(rows).to.eql([{ ID: 91001 }, { ID: 91002 }])
+  })
+
+  test('runs within the current transaction', async () => {
+    await cds.db.tx(async tx => {
+      await tx.run(UPDATE(Books).set({ title: 'changed' }).where({ ID: { in: IDs } }))
+      const titles = []
+      for await (const { title } of tx.foreach(books())) titles.push(title)
+      expect(titles).to.eql(['changed', 'changed', 'changed'])
+      await tx.rollback()
+    })
+  })
+
+  test('joins the transaction of the current context', async () => {
+    await cds.tx(async () => {
+      await cds.db.run(UPDATE(Books).set({ title: 'changed' }).where({ ID: { in: IDs } }))
+      const titles = []
+      for await (const { title } of cds.db.foreach(books())) titles.push(title)
+      expect(titles).to.eql(['changed', 'changed', 'changed'])
+      await cds.context.tx.rollback()
+    })
+    expect((await books()).map(b => b.title)).to.eql(['Book 91001', 'Book 91002', 'Book 91003'])
+  })
+
+  test('rejects other queries than SELECT', async () => {
+    await expect(cds.db.foreach(DELETE.from(Books), () => {})).to.be.rejectedWith('Only SELECT queries can be iterated')
+  })
+})
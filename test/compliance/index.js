@@ -3,6 +3,7 @@ require('./DELETE.test')
 require('./DROP.test')
 require('./INSERT.test')
 require('./UPSERT.test')
+require('./constraints.test')
 require('./SELECT.test')
 require('./UPDATE.test')
 require('./definitions.test')
@@ -11,3 +12,6 @@ require('./literals.test')
 require('./timestamps.test')
 require('./api.test')
 require('./keywords.test')
+require('./explain.test')
+require('./foreach.test')
+require('./timeouts.test')
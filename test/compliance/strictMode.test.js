@@ -101,4 +101,95 @@ describe('strict mode', () => {
       await runAndExpectError(UPSERT.into('notExisting').entries({ abc: 'bar' }), 'notExisting')
     })
   })
+
+  describe('Value Scenarios', () => {
+    const literals = 'basic.literals'
+
+    async function expectErrors(cqn, errors) {
+      const error = await expect(cds.run(cqn)).rejected
+      const details = error.details || [error]
+      expect(details.map(({ code, target, entity }) => ({ code, target, entity }))).to.eql(errors)
+    }
+
+    test('Valid values are accepted', async () => {
+      await cds.run(INSERT.into(`${literals}.number`).entries({ integer8: 255, integer64: '9223372036854775807', decimal: '3.1415' }))
+      await cds.run(INSERT.into(`${literals}.string`).entries({ char: 'a', short: '0123456789' }))
+      await cds.run(INSERT.into(`${literals}.date`).entries({ date: '1970-01-01' }))
+      await cds.run(INSERT.into(`${literals}.time`).entries({ time: '23:59:59' }))
+      await cds.run(INSERT.into(`${literals}.timestamp`).entries({ timestamp: new Date() }))
+      await cds.run(INSERT.into('edge.strict').entries({ ID: 1, status: 'C', priority: 2, required: '' }))
+    })
+
+    test('Strings exceeding their length', async () => {
+      await expectErrors(INSERT.into(`${literals}.string`).entries({ char: 'ab', short: 'too long for ten' }), [
+        { code: 'ASSERT_MAX_LENGTH', target: 'char', entity: `${literals}.string` },
+        { code: 'ASSERT_MAX_LENGTH', target: 'short', entity: `${literals}.string` },
+      ])
+      await runAndExpectError(
+        UPDATE(`${literals}.string`).set({ char: 'ab' }),
+        `STRICT MODE: Value of char in ${literals}.string exceeds maximum length of 1`,
+      )
+    })
+
+    test('Numbers out of range or precision', async () => {
+      const number = `${literals}.number`
+      await expectErrors(INSERT.into(number).entries({ integer8: 256, integer16: 1.5, integer64: '9223372036854775808' }), [
+        { code: 'ASSERT_RANGE', target: 'integer8', entity: number },
+        { code: 'ASSERT_DATA_TYPE', target: 'integer16', entity: number },
+        { code: 'ASSERT_RANGE', target: 'integer64', entity: number },
+      ])
+      await runAndExpectError(
+        INSERT.into(number).columns('decimal').rows([3.1415], [31.4]),
+        `STRICT MODE: Value of decimal in ${number} exceeds precision 5 and scale 4`,
+      )
+    })
+
+    test('Dates and times in invalid formats', async () => {
+      await runAndExpectError(
+        INSERT.into(`${literals}.date`).entries({ date: '2000-02-30' }),
+        `STRICT MODE: Value of date in ${literals}.date is not a valid cds.Date`,
+      )
+      await runAndExpectError(
+        UPSERT.into(`${literals}.time`).entries({ time: '24:00' }),
+        `STRICT MODE: Value of time in ${literals}.time is not a valid cds.Time`,
+      )
+      await runAndExpectError(
+        INSERT.into(`${literals}.timestamp`).entries({ timestamp: 'yesterday' }),
+        `STRICT MODE: Value of timestamp in ${literals}.timestamp is not a valid cds.Timestamp`,
+      )
+    })
+
+    test('Booleans given as strings', async () => {
+      await cds.tx(async tx => {
+        await tx.run(INSERT.into(`${literals}.globals`).entries([{ bool: 'true' }, { bool: 'false' }]))
+        await tx.rollback()
+      })
+      await runAndExpectError(
+        INSERT.into(`${literals}.globals`).entries({ bool: 'yes' }),
+        `STRICT MODE: Value of bool in ${literals}.globals is not a valid cds.Boolean`,
+      )
+    })
+
+    test('Values of UPDATE.with', async () => {
+      const query = UPDATE(`${literals}.string`)
+      query.UPDATE.with = { char: { val: 'ab' }, short: { ref: ['char'] } }
+      await runAndExpectError(query, `STRICT MODE: Value of char in ${literals}.string exceeds maximum length of 1`)
+      query.UPDATE.with = { notExisting: { val: 'a' } }
+      await runAndExpectError(query, 'STRICT MODE: Trying to UPDATE non existent columns (notExisting)')
+    })
+
+    test('Enum values and nulls', async () => {
+      await expectErrors(INSERT.into('edge.strict').entries({ ID: 2, status: 'open', priority: 3, required: null }), [
+        { code: 'ASSERT_ENUM', target: 'priority', entity: 'edge.strict' },
+        { code: 'ASSERT_NOT_NULL', target: 'required', entity: 'edge.strict' },
+      ])
+    })
+
+    test('Deep compositions report the path of the element', async () => {
+      await runAndExpectError(
+        INSERT.into('complex.uniques.Books').entries({ ID: 1, pages: [{ ID: 1, number: 1 }, { ID: 2, number: 'two' }] }),
+        'STRICT MODE: Value of pages[1].number in complex.uniques.Books is not a valid cds.Integer',
+      )
+    })
+  })
 })
@@ -0,0 +1,125 @@
+const cds = require('../cds.js')
+
+const Books = 'complex.associations.Books'
+
+// Statements which run long enough to be cancelled, which isn't possible on SQLite,
+// as it runs them synchronously
+const sleep = {
+  '@cap-js/postgres': 'SELECT pg_sleep(1)',
+  '@cap-js/hana': 'DO BEGIN USING SQLSCRIPT_SYNC AS SYNC; CALL SYNC:SLEEP_SECONDS(1); END',
+}
+
+describe('statement timeouts and cancellation', () => {
+  const { expect } = cds.test(__dirname + '/resources')
+
+  let db
+  beforeAll(() => {
+    db = cds.db
+    // Simulates a long running statement, which works the same for all databases
+    db.before('SELECT', req => req.query._slow && new Promise(resolve => setTimeout(resolve, 200)))
+  })
+
+  const fast = () => SELECT.from(Books).where('ID < 0')
+  const slow = () => Object.defineProperty(fast(), '_slow', { value: true })
+
+  test('queries within their timeout succeed', async () => {
+    expect(await db.run(fast().timeout(1000))).to.eql([])
+  })
+
+  test('queries exceeding their timeout are cancelled', async () => {
+    let cancelled = 0
+    const { cancel } = db
+    db.cancel = function () {
+      cancelled++
+      return cancel.apply(this, arguments)
+    }
+    try {
+      await expect(db.run(slow().timeout(10))).to.be.rejectedWith({ name: 'TimeoutError', code: 'STATEMENT_TIMEOUT' })
+      expect(cancelled).to.eql(1)
+    } finally {
+      delete db.cancel
+    }
+  })
+
+  test('statementTimeout applies to all queries', async () => {
+    db.options.statementTimeout = 10
+    try {
+      await expect(db.run(slow())).to.be.rejectedWith({ code: 'STATEMENT_TIMEOUT' })
+    } finally {
+      delete db.options.statementTimeout
+    }
+  })
+
+  test('queries are cancelled when exceeding the deadline of the transaction', async () => {
+    await expect(
+      db.tx({ timeout: 10 }, async tx => {
+        await tx.run(fast())
+        await new Promise(resolve => setTimeout(resolve, 50))
+        await tx.run(fast())
+      }),
+    ).to.be.rejectedWith({ code: 'STATEMENT_TIMEOUT' })
+  })
+
+  test('queries are cancelled through the signal of the transaction', async () => {
+    const ac = new AbortController()
+    const done = db.tx({ signal: ac.signal }, tx => tx.run(slow()))
+    setTimeout(() => ac.abort(), 10)
+    await expect(done).to.be.rejectedWith({ name: 'AbortError', code: 'QUERY_CANCELLED' })
+    await expect(db.tx({ signal: ac.signal }, tx => tx.run(fast()))).to.be.rejectedWith({
+      code: 'QUERY_CANCELLED',
+    })
+  })
+
+  test('rows still being iterated are cancelled', async () => {
+    const IDs = [91001, 91002, 91003]
+    await db.tx(tx => tx.run(INSERT.into(Books).entries(IDs.map(ID => ({ ID })))))
+    try {
+      const ac = new AbortController()
+      const read = []
+      await expect(
+        db.tx({ signal: ac.signal }, tx =>
+          tx.foreach(SELECT.from(Books).where({ ID: { in: IDs } }).orderBy('ID'), async row => {
+            read.push(row.ID)
+            ac.abort()
+            await new Promise(resolve => setTimeout(resolve, 10))
+          }),
+        ),
+      ).to.be.rejectedWith({ code: 'QUERY_CANCELLED' })
+      expect(read).to.eql([91001])
+    } finally {
+      await db.tx(tx => tx.run(DELETE.from(Books).where({ ID: { in: IDs } })))
+    }
+  })
+
+  test('running statements are cancelled on the database', async () => {
+    const statement = sleep[db.options.impl]
+    if (!statement) return
+    const start = Date.now()
+    await expect(db.tx({ timeout: 100 }, tx => tx.run(statement))).to.be.rejectedWith({ code: 'STATEMENT_TIMEOUT' })
+    expect(Date.now() - start).to.be.below(1000)
+    // The connection is usable afterwards
+    expect(await db.run(fast())).to.eql([])
+  })
+
+  test('statements cancelled by the database surface as timeouts', async () => {
+    if (db.options.impl === '@cap-js/postgres') {
+      await expect(
+        db.tx(async tx => {
+          await tx.run('SET LOCAL statement_timeout = 10')
+          await tx.run(sleep['@cap-js/postgres'])
+        }),
+      ).to.be.rejectedWith({ name: 'TimeoutError', code: 'STATEMENT_TIMEOUT' })
+      return
+    }
+    db.isCancelled = err => err.code === 'CANCELLED'
+    db.prepare = () => ({ all: () => Promise.reject(Object.assign(new Error('canceling statement'), { code: 'CANCELLED' })) })
+    db.options.statementTimeout = 1000
+    try {
+      await expect(db.run(fast())).to.be.rejectedWith({ name: 'TimeoutError', code: 'STATEMENT_TIMEOUT' })
+    } finally {
+      delete db.isCancelled
+      delete db.prepare
+      delete db.options.statementTimeout
+    }
+  })
+})
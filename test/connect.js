@@ -0,0 +1,22 @@
+const cds = require('./cds.js')
+
+/**
+ * Connects a new database service of the dialect under test, which isn't shared with other
+ * tests, configured with the given options on top of the ones of the dialect, like so:
+ *
+ *     const db = await connect({ pool: { maxTenants: 2 } })
+ *
+ * SQLite services get their own in-memory databases, as do their replicas.
+ */
+module.exports = async (options = {}) => {
+  const { impl, credentials, ...dialect } = cds.env.requires.db
+  const memory = impl === '@cap-js/sqlite' && { url: ':memory:' }
+  const replica = options.replica && { credentials: memory || credentials, ...options.replica }
+  return cds.connect.to(`db-${cds.utils.uuid()}`, {
+    ...dialect,
+    impl,
+    credentials: memory || credentials,
+    ...options,
+    ...(replica && { replica }),
+  })
+}
@@ -10,7 +10,34 @@ describe('Bookshop - Delete', () => {
     expect(affectedRows).to.be.eq(0)
   })
 
-  test(`Deep delete rejects transitive circular dependencies`, async () => {
+  test('Deep delete follows recursive compositions beyond any depth', async () => {
+    const Genres = 'sap.capire.bookshop.Genres'
+    const chain = (ID, levels) => ({ ID, name: `Level ${levels}`, children: levels ? [chain(ID + 1, levels - 1)] : [] })
+    await INSERT.into(Genres).entries(chain(9000, 7))
+    expect(await SELECT.from(Genres).where('ID >= 9000')).to.have.lengthOf(8)
+
+    const affectedRows = await DELETE.from(Genres).where({ ID: 9000 })
+    expect(affectedRows).to.be.eq(1)
+    expect(await SELECT.from(Genres).where('ID >= 9000')).to.have.lengthOf(0)
+  })
+
+  test('Deep delete removes the compositions of all descendants in hierarchies', async () => {
+    const Genres = 'sap.capire.bookshop.Genres'
+    const chain = (ID, levels) => ({
+      ID,
+      name: `Level ${levels}`,
+      texts: [{ locale: 'de', name: `Ebene ${levels}` }],
+      children: levels ? [chain(ID + 1, levels - 1)] : [],
+    })
+    await INSERT.into(Genres).entries(chain(9100, 4))
+    expect(await SELECT.from(`${Genres}.texts`).where('ID >= 9100')).to.have.lengthOf(5)
+
+    await DELETE.from(Genres).where({ ID: 9100 })
+    expect(await SELECT.from(Genres).where('ID >= 9100')).to.have.lengthOf(0)
+    expect(await SELECT.from(`${Genres}.texts`).where('ID >= 9100')).to.have.lengthOf(0)
+  })
+
+  test(`Deep delete follows transitive circular compositions`, async () => {
     await INSERT.into('sap.capire.bookshop.A').entries([
       { ID: 999 },
       { ID: 998 },
@@ -43,7 +70,11 @@ describe('Bookshop - Delete', () => {
       },
     ])
     const del = DELETE.from('sap.capire.bookshop.A').where('ID = 1')
-    await expect(cds.db.run(del)).to.be.eventually.rejectedWith('Transitive circular composition detected')
+    expect(await cds.db.run(del)).to.be.eq(1)
+    const ids = rows => rows.map(r => r.ID).sort((a, b) => a - b)
+    expect(ids(await SELECT.from('sap.capire.bookshop.A'))).to.eql([998, 999])
+    expect(await SELECT.from('sap.capire.bookshop.B')).to.eql([])
+    expect(await SELECT.from('sap.capire.bookshop.C')).to.eql([])
   })
 
   test('Delete with path expressions', async () => {
@@ -0,0 +1,80 @@
+const cds = require('../../cds.js')
+const bookshop = cds.utils.path.resolve(__dirname, '../../bookshop')
+
+describe('Bookshop - Hierarchies', () => {
+  const { expect } = cds.test(bookshop)
+
+  const Genres = 'sap.capire.bookshop.Genres'
+  const hierarchy = (recurse, columns = ['ID', '$level', '$drillState']) => {
+    const query = SELECT.from(Genres).columns(columns).orderBy('ID')
+    query.SELECT.recurse = { ref: ['parent'], ...recurse }
+    return query
+  }
+
+  test('descendants of the roots', async () => {
+    const rows = await hierarchy({})
+    expect(rows).to.have.length(15)
+    expect(rows.find(r => r.ID === 10)).to.eql({ ID: 10, $level: 1, $drillState: 'expanded' })
+    expect(rows.find(r => r.ID === 22)).to.eql({ ID: 22, $level: 3, $drillState: 'leaf' })
+  })
+
+  test('descendants of start nodes with a depth limit', async () => {
+    const rows = await hierarchy({ where: [{ ref: ['name'] }, '=', { val: 'Non-Fiction' }], depth: 2 })
+    expect(rows).to.eql([
+      { ID: 20, $level: 1, $drillState: 'expanded' },
+      { ID: 21, $level: 2, $drillState: 'collapsed' },
+      { ID: 23, $level: 2, $drillState: 'leaf' },
+      { ID: 24, $level: 2, $drillState: 'leaf' },
+    ])
+  })
+
+  test('ancestors of start nodes', async () => {
+    const rows = await hierarchy({ where: [{ ref: ['ID'] }, '=', { val: 22 }], direction: 'ancestors' })
+    expect(rows).to.eql([
+      { ID: 20, $level: 3, $drillState: 'expanded' },
+      { ID: 21, $level: 2, $drillState: 'expanded' },
+      { ID: 22, $level: 1, $drillState: 'leaf' },
+    ])
+  })
+
+  test('paths and filters of the result', async () => {
+    const query = hierarchy({ where: [{ ref: ['ID'] }, '=', { val: 20 }] }, ['name', { ref: ['$path'], as: 'path' }])
+    query.where({ name: { like: 'A%' } })
+    expect(await query).to.eql([{ name: 'Autobiography', path: '20/21/22' }])
+  })
+
+  test('paths of ancestors', async () => {
+    const query = hierarchy({ where: [{ ref: ['ID'] }, '=', { val: 22 }], direction: 'ancestors' }, ['ID', '$path'])
+    expect(await query).to.eql([
+      { ID: 20, $path: '22/21/20' },
+      { ID: 21, $path: '22/21' },
+      { ID: 22, $path: '22' },
+    ])
+  })
+
+  test('all columns by default and order by hierarchy columns', async () => {
+    const query = SELECT.from(Genres).orderBy('$level desc', 'ID').limit(1)
+    query.SELECT.recurse = { ref: ['parent'] }
+    const [deepest] = await query
+    expect(deepest).to.include({ ID: 22, name: 'Autobiography', parent_ID: 21, $level: 3, $drillState: 'leaf' })
+  })
+
+  test('cycles are broken up', async () => {
+    await INSERT.into(Genres).entries([
+      { ID: 9100, name: 'Cycle A', parent_ID: 9101 },
+      { ID: 9101, name: 'Cycle B', parent_ID: 9100 },
+    ])
+    try {
+      const rows = await hierarchy({ where: [{ ref: ['ID'] }, '=', { val: 9100 }] })
+      expect(rows.map(r => [r.ID, r.$level])).to.eql([[9100, 1], [9101, 2]])
+    } finally {
+      await DELETE.from(Genres).where({ ID: { in: [9100, 9101] } })
+    }
+  })
+
+  test('invalid hierarchies are rejected', async () => {
+    await expect(cds.run(hierarchy({ ref: ['author'] }))).to.be.rejectedWith(/managed to-one association/)
+    await expect(cds.run(hierarchy({ direction: 'ancestors' }))).to.be.rejectedWith(/start of hierarchies is required/)
+    await expect(cds.run(hierarchy({ depth: 0 }))).to.be.rejectedWith(/positive integer/)
+  })
+})
@@ -7,3 +7,6 @@ require('./funcs.test')
 require('./orderBy.test')
 require('./genres.test')
 require('./localization.test')
+require('./set-operations.test')
+require('./returning.test')
+require('./hierarchy.test')
@@ -11,7 +11,10 @@ describe('Bookshop - Insert', () => {
     // Works fine locally, but refuses to function in pipeline
     // expect(err).to.be.instanceOf(Error)
     // expect(err instanceof Error).to.be.true
-    expect(err.message).to.be.eq('ENTITY_ALREADY_EXISTS')
+    expect(err.code).to.be.eq('ENTITY_ALREADY_EXISTS')
+    expect(err.status).to.be.eq(409)
+    expect(err.entity).to.be.eq('AdminService.Books')
+    expect(err.keys).to.eql({ ID: 201 })
   })
 
   test('insert with undefined value works', async () => {
@@ -47,6 +47,17 @@ describe('Bookshop - localization', () => {
     expect(emily.name).to.equal('Emily Brontë')
   }))
 
+  test('SELECT.localized Books pages with limit after', ()=> cds.tx (de, async()=>{
+    let { Books } = cds.entities
+    let titles = [], after = null
+    do {
+      const page = await SELECT.localized(Books, b => b.title).where({ ID: { in: [201, 271] } }).orderBy('title').limit({ rows: 1, after })
+      titles.push(...page.map(b => b.title))
+      after = page.$after
+    } while (after)
+    expect(titles.sort()).to.eql(['Catweazle', 'Sturmhöhe']) //> translations are read
+  }))
+
   test('expand texts', async () => {
     const result = await cds.db.read('AdminService.Books', {ID: 201}).columns(c => { c.ID, c.title, c.texts(t => {t.locale, t.title})})
     expect(result.texts).to.deep.include({locale: 'de', title: 'Sturmhöhe'})
@@ -0,0 +1,83 @@
+const cds = require('../../cds.js')
+const bookshop = require('path').resolve(__dirname, '../../bookshop')
+
+describe('Bookshop - Returning', () => {
+  const { expect } = cds.test(bookshop)
+
+  const Authors = 'sap.capire.bookshop.Authors'
+  const Genres = 'sap.capire.bookshop.Genres'
+  const read = (ID, ...columns) => SELECT.one.from(Authors, ID).columns(columns)
+
+  test('INSERT returns the inserted rows with defaults and managed values', async () => {
+    const res = await INSERT.into(Authors)
+      .entries([
+        { ID: 901, name: 'Returning 1', dateOfBirth: '2000-01-01' },
+        { ID: 902, name: 'Returning 2' },
+      ])
+      .returning('ID', 'name', 'dateOfBirth', 'createdAt', 'createdBy')
+    expect(res).to.eql([
+      await read(901, 'ID', 'name', 'dateOfBirth', 'createdAt', 'createdBy'),
+      await read(902, 'ID', 'name', 'dateOfBirth', 'createdAt', 'createdBy'),
+    ])
+    expect(res[0].createdAt).to.be.a('string')
+  })
+
+  test('INSERT with rows returns the inserted rows', async () => {
+    const res = await INSERT.into(Authors).columns('ID', 'name').rows([903, 'Returning 3']).returning('ID', 'name')
+    expect(res).to.eql([{ ID: 903, name: 'Returning 3' }])
+  })
+
+  test('UPDATE returns the updated rows with @cds.on.update values', async () => {
+    const res = await UPDATE(Authors).set({ placeOfBirth: 'Walldorf' }).where({ ID: { in: [901, 902] } })
+      .returning('ID', 'placeOfBirth', 'modifiedAt')
+    expect(res.sort((a, b) => a.ID - b.ID)).to.eql([
+      await read(901, 'ID', 'placeOfBirth', 'modifiedAt'),
+      await read(902, 'ID', 'placeOfBirth', 'modifiedAt'),
+    ])
+  })
+
+  test('UPSERT returns the written rows', async () => {
+    const res = await UPSERT.into(Authors)
+      .entries([
+        { ID: 903, name: 'Upserted 3' },
+        { ID: 904, name: 'Upserted 4' },
+      ])
+      .returning('ID', 'name')
+    expect(res.sort((a, b) => a.ID - b.ID)).to.eql([
+      { ID: 903, name: 'Upserted 3' },
+      { ID: 904, name: 'Upserted 4' },
+    ])
+  })
+
+  test('DELETE returns the deleted rows', async () => {
+    const expected = await SELECT.from(Authors).where({ ID: { '>': 900 } })
+      .columns('ID', 'name', 'dateOfBirth').orderBy('ID')
+    const res = await DELETE.from(Authors).where({ ID: { '>': 900 } }).returning('ID', 'name', 'dateOfBirth')
+    expect(res.sort((a, b) => a.ID - b.ID)).to.eql(expected)
+    expect(await SELECT.from(Authors).where({ ID: { '>': 900 } })).to.eql([])
+  })
+
+  test('deep INSERT returns the root rows', async () => {
+    const res = await INSERT.into(Genres)
+      .entries({ ID: 901, name: 'Root', children: [{ ID: 902, name: 'Child' }] })
+      .returning('*')
+    expect(res).to.containSubset([{ ID: 901, name: 'Root', parent_ID: null }])
+    expect(res.length).to.eq(1)
+  })
+
+  test('deep UPDATE returns the root rows', async () => {
+    const res = await UPDATE(Genres, 901)
+      .with({ name: 'Updated', children: [{ ID: 903, name: 'Other' }] })
+      .returning('ID', 'name')
+    expect(res).to.eql([{ ID: 901, name: 'Updated' }])
+    await DELETE.from(Genres, 901)
+  })
+
+  test('only writes can return rows', () => {
+    expect(() => SELECT.from(Authors).returning('ID')).to.throw(/Only INSERT, UPSERT, UPDATE and DELETE/)
+  })
+
+  test('returning unknown elements fails', async () => {
+    await expect(DELETE.from(Authors).where({ ID: 0 }).returning('foo')).to.be.rejectedWith(/Cannot return "foo"/)
+  })
+})
@@ -0,0 +1,107 @@
+const cds = require('../../cds.js')
+const bookshop = require('path').resolve(__dirname, '../../bookshop')
+
+describe('Bookshop - Set Operations', () => {
+  const { expect } = cds.test(bookshop)
+
+  test('union with association paths in each branch', async () => {
+    const query = CQL(`
+      SELECT from sap.capire.bookshop.Books { author.name as name }
+      union
+      SELECT from sap.capire.bookshop.Authors { name }
+      order by name desc
+    `)
+    const res = await cds.run(query)
+    expect(res.map(r => r.name)).to.eql(['Richard Carpenter', 'Emily Brontë', 'Edgar Allen Poe', 'Charlotte Brontë'])
+  })
+
+  test('union all keeps duplicates', async () => {
+    const query = CQL(`
+      SELECT from sap.capire.bookshop.Books { author.name as name }
+      union all
+      SELECT from sap.capire.bookshop.Authors { name }
+    `)
+    const res = await cds.run(query)
+    expect(res.length).to.eq(9)
+  })
+
+  test('intersect', async () => {
+    const query = CQL(`
+      SELECT from sap.capire.bookshop.Authors { ID }
+      intersect
+      SELECT from sap.capire.bookshop.Books { author.ID as ID } where title = 'Jane Eyre'
+    `)
+    const res = await cds.run(query)
+    expect(res).to.eql([{ ID: 107 }])
+  })
+
+  test('except', async () => {
+    const query = CQL(`
+      SELECT from sap.capire.bookshop.Authors { ID }
+      except
+      SELECT from sap.capire.bookshop.Books { author.ID as ID } where author.name like 'E%'
+      order by ID
+    `)
+    const res = await cds.run(query)
+    expect(res).to.eql([{ ID: 107 }, { ID: 170 }])
+  })
+
+  test('limit on the combined result', async () => {
+    const query = CQL(`
+      SELECT from sap.capire.bookshop.Books { ID, title as name }
+      union all
+      SELECT from sap.capire.bookshop.Authors { ID, name }
+      order by ID desc
+      limit 2 offset 1
+    `)
+    const res = await cds.run(query)
+    expect(res).to.eql([
+      { ID: 252, name: 'Eleonora' },
+      { ID: 251, name: 'The Raven' },
+    ])
+  })
+
+  test('branches with their own order and limit', async () => {
+    const { Books, Authors } = cds.entities('sap.capire.bookshop')
+    const query = {
+      SET: {
+        op: 'union',
+        all: true,
+        args: [
+          SELECT.from(Books).columns('title as name').orderBy('ID desc').limit(1),
+          { SET: { op: 'union', args: [SELECT.from(Authors).columns('name').orderBy('name').limit(1)] } },
+        ],
+      },
+    }
+    const res = await cds.run(query)
+    expect(res.map(r => r.name).sort()).to.eql(['Catweazle', 'Charlotte Brontë'])
+  })
+
+  test('select from a union', async () => {
+    const { Books, Authors } = cds.entities('sap.capire.bookshop')
+    const union = {
+      SET: {
+        op: 'union',
+        all: true,
+        args: [SELECT.from(Books).columns('ID', 'title as name'), SELECT.from(Authors).columns('ID', 'name')],
+      },
+    }
+    const res = await SELECT.from(union).columns('name').where('ID <', 200).orderBy('name').limit(2)
+    expect(res).to.eql([{ name: 'Charlotte Brontë' }, { name: 'Edgar Allen Poe' }])
+  })
+
+  test('union in a where clause', async () => {
+    const { Books, Authors } = cds.entities('sap.capire.bookshop')
+    const ids = {
+      SET: {
+        op: 'union',
+        args: [
+          SELECT.from(Authors).columns('ID').where({ name: 'Emily Brontë' }),
+          SELECT.from(Authors).columns('ID').where({ name: 'Richard Carpenter' }),
+        ],
+      },
+    }
+    const res = await SELECT.from(Books).columns('title').where(['author_ID', 'in', ids]).orderBy('title')
+    expect(res).to.eql([{ title: 'Catweazle' }, { title: 'Wuthering Heights' }])
+  })
+})
@@ -129,7 +129,9 @@ describe('Bookshop - Update', () => {
     // Works fine locally, but refuses to function in pipeline
     // expect(err).to.be.instanceOf(Error)
     // expect(err instanceof Error).to.be.true
-    expect(err.message).to.be.eq('UNIQUE_CONSTRAINT_VIOLATION')
+    expect(err.code).to.be.eq('UNIQUE_CONSTRAINT_VIOLATION')
+    expect(err.status).to.be.eq(409)
+    expect(err.entity).to.be.eq('sap.capire.bookshop.Genres')
   })
 
 